@@ -1,5 +1,8 @@
 // RageCheck Background Service Worker
-// Handles context menu, badge, notifications, remote config, programmatic injection, diagnostics
+// Handles context menu, badge, notifications, remote config, programmatic injection, diagnostics, local scoring (model + rules),
+// and the on-device stores: score cache, check history, feedback outbox, exposure stats, author reputation
+
+importScripts('i18n.js', 'rules.js', 'share-card.js');
 
 const DEFAULT_API_BASE = 'https://ragecheck.com';
 const CONFIG_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
@@ -10,31 +13,325 @@ async function getApiBase() {
   });
 }
 
+// ============================================================
+// API broker: every ragecheck.com request goes through here
+// ============================================================
+
+// One token bucket for the whole browser, not per tab. State lives in
+// storage.session so a service worker restart doesn't refill it.
+const API_RATE_LIMIT = 20;           // requests per minute
+const API_MAX_WAIT = 15 * 1000;      // longest a caller queues for a token
+const API_MAX_RETRIES = 3;
+const API_BACKOFF_BASE = 1000;       // ms, doubled per attempt, jittered
+
+let apiBucket = null; // { tokens, updatedAt, blockedUntil }
+let apiBucketLoading = null;
+const apiInFlight = new Map(); // dedupe key -> Promise
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function loadApiBucket() {
+  if (apiBucket) return apiBucket;
+  if (!apiBucketLoading) {
+    apiBucketLoading = chrome.storage.session.get(['apiBucket']).then((r) => {
+      apiBucket = r.apiBucket || { tokens: API_RATE_LIMIT, updatedAt: Date.now(), blockedUntil: 0 };
+      return apiBucket;
+    });
+  }
+  return apiBucketLoading;
+}
+
+function saveApiBucket() {
+  chrome.storage.session.set({ apiBucket });
+}
+
+function refillApiBucket(bucket, now) {
+  const refill = (now - bucket.updatedAt) * API_RATE_LIMIT / 60000;
+  bucket.tokens = Math.min(API_RATE_LIMIT, bucket.tokens + refill);
+  bucket.updatedAt = now;
+}
+
+// Resolves once a token is taken, or with the ms still to wait if that exceeds maxWait
+async function takeApiToken(maxWait) {
+  const bucket = await loadApiBucket();
+  const deadline = Date.now() + maxWait;
+
+  for (;;) {
+    const now = Date.now();
+    refillApiBucket(bucket, now);
+    const tokenWait = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) * 60000 / API_RATE_LIMIT;
+    const wait = Math.max(bucket.blockedUntil - now, tokenWait);
+
+    if (wait <= 0) {
+      bucket.tokens -= 1;
+      saveApiBucket();
+      return 0;
+    }
+    if (now + wait > deadline) return wait;
+    await sleep(wait);
+  }
+}
+
+// Seconds or an HTTP date; defaults to a minute
+function parseRetryAfter(header) {
+  if (!header) return 60 * 1000;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 60 * 1000 : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt) {
+  return API_BACKOFF_BASE * 2 ** attempt * (0.5 + Math.random());
+}
+
+async function sendApiRequest(path, { method, body, maxWait, retries }) {
+  const apiBase = await getApiBase();
+  let lastStatus = 0;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const wait = await takeApiToken(maxWait);
+    if (wait > 0) return { status: 429, data: null, retryAfter: wait };
+
+    try {
+      const init = { method };
+      if (body !== undefined) {
+        init.headers = { 'Content-Type': 'application/json' };
+        init.body = JSON.stringify(body);
+      }
+      const response = await fetch(`${apiBase}${path}`, init);
+      lastStatus = response.status;
+
+      if (response.status === 429) {
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        apiBucket.blockedUntil = Date.now() + retryAfter;
+        saveApiBucket();
+        if (attempt === retries || retryAfter > maxWait) return { status: 429, data: null, retryAfter };
+        continue; // takeApiToken waits out blockedUntil
+      }
+
+      if (response.status >= 500 && attempt < retries) {
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+
+      const data = await response.json().catch(() => null);
+      return { status: response.status, data };
+    } catch (e) {
+      lastStatus = 0;
+      if (attempt < retries) await sleep(backoffDelay(attempt));
+    }
+  }
+
+  return { status: lastStatus, data: null };
+}
+
+// Resolves { status, data, retryAfter? }. status 0 means the network failed on every attempt.
+// Identical requests already in flight share one fetch.
+function apiRequest(path, { method = 'POST', body, maxWait = API_MAX_WAIT, retries = API_MAX_RETRIES } = {}) {
+  const key = `${method} ${path} ${body === undefined ? '' : JSON.stringify(body)}`;
+  if (apiInFlight.has(key)) return apiInFlight.get(key);
+
+  const promise = sendApiRequest(path, { method, body, maxWait, retries })
+    .finally(() => apiInFlight.delete(key));
+  apiInFlight.set(key, promise);
+  return promise;
+}
+
+// Outbox flushes and other background traffic: don't queue behind user checks for long
+const BACKGROUND_REQUEST = { maxWait: 2000, retries: 1 };
+
+// ============================================================
+// Local records: ids, serialized writes and outboxes in storage.local
+// ============================================================
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+const storageWrites = new Map(); // storage.local key -> tail of its write chain
+
+// Runs task after every earlier task for the same key, so read-modify-writes never interleave.
+// The returned promise rejects with the task; the chain itself carries on.
+function serialize(key, task) {
+  const done = (storageWrites.get(key) || Promise.resolve()).then(task);
+  storageWrites.set(key, done.catch(e => console.log(`RageCheck: Could not save ${key}`, e.message)));
+  return done;
+}
+
+// An outbox is an array of { id, createdAt, sentAt, ... } under `key`. update(outbox) edits it
+// in place and its return value is passed through. Entries older than maxAge are dropped;
+// over max, the oldest sent entry goes first and the oldest unsent only if none were sent.
+function updateOutbox(key, { max, maxAge = Infinity }, update) {
+  return serialize(key, async () => {
+    const { [key]: stored = [] } = await chrome.storage.local.get([key]);
+    const result = update(stored);
+    const oldest = Date.now() - maxAge;
+    const outbox = stored.filter(entry => entry.createdAt >= oldest);
+    while (outbox.length > max) {
+      const sent = outbox.findIndex(entry => entry.sentAt);
+      outbox.splice(sent === -1 ? 0 : sent, 1);
+    }
+    await chrome.storage.local.set({ [key]: outbox });
+    return result;
+  });
+}
+
 // ============================================================
 // Remote selector config
 // ============================================================
 
+// /api/selectors returns { payload, signature }: payload is the config as a JSON
+// string, signature is base64 Ed25519 over its UTF-8 bytes. Signing the exact string
+// avoids any JSON canonicalization question. Only the publisher holds the private key;
+// tools/sign-config.js produces the envelope.
+const CONFIG_PUBLIC_KEY = 'XILulXSXqPnjnoXFnDOLtrFNIoueZnw2GRfhK/WqQXc=';
+
+const CONFIG_MAX_ENGINES = 50;
+const CONFIG_MAX_SELECTOR = 300;
+const CONFIG_MAX_PATTERN = 200;
+const CONFIG_ENGINE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+// Fields a remote engine may carry, and whether each is required. Anything else is rejected.
+const CONFIG_ENGINE_FIELDS = {
+  detect: 'selector',
+  postSelector: 'selector',
+  contentSelector: 'selector?',
+  authorSelector: 'selector?',
+  actionBarSelector: 'selector?',
+  observeTarget: 'selector?',
+  spa: 'boolean?'
+};
+// Declarative overrides for the bundled PLATFORMS in content.js, applied on top of
+// the bundled extractors. Only platforms the extension ships can be overridden.
+const CONFIG_PLATFORM_NAMES = ['twitter', 'bluesky', 'facebook', 'reddit', 'threads', 'hackernews', 'youtube', 'stackoverflow'];
+const CONFIG_PLATFORM_FIELDS = {
+  postSelector: 'selector?',
+  textSelector: 'selector?',
+  urlSelector: 'selector?',  // link whose href is the post's permalink
+  urlPattern: 'pattern?',    // regex that href must match
+  actionBarSelector: 'selector?'
+};
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+async function verifyConfigSignature(payload, signature) {
+  const key = await crypto.subtle.importKey('raw', base64ToBytes(CONFIG_PUBLIC_KEY), { name: 'Ed25519' }, false, ['verify']);
+  return crypto.subtle.verify({ name: 'Ed25519' }, key, base64ToBytes(signature), new TextEncoder().encode(payload));
+}
+
+// The worker has no DOM to parse selectors with, so this is a conservative
+// lexical check; content.js still runs every remote selector inside try/catch.
+function isPlausibleSelector(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= CONFIG_MAX_SELECTOR &&
+    !/[\u0000-\u001f<{};@\\]/.test(value);
+}
+
+function isValidPattern(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > CONFIG_MAX_PATTERN) return false;
+  try {
+    new RegExp(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Checks one engine/platform entry against a field spec; returns an error string or null
+function validateFields(name, entry, spec) {
+  if (!isPlainObject(entry)) return `${name}: not an object`;
+  for (const key of Object.keys(entry)) {
+    if (!(key in spec)) return `${name}: unknown field ${key}`;
+  }
+  for (const [key, type] of Object.entries(spec)) {
+    const value = entry[key];
+    if (value === undefined || value === null) {
+      if (!type.endsWith('?')) return `${name}: missing ${key}`;
+      continue;
+    }
+    const ok = type.startsWith('boolean') ? typeof value === 'boolean'
+      : type.startsWith('pattern') ? isValidPattern(value)
+      : isPlausibleSelector(value);
+    if (!ok) return `${name}: bad ${key}`;
+  }
+  return null;
+}
+
+// Returns an error string, or null when the config matches the schema exactly
+function validateConfig(config) {
+  if (!isPlainObject(config)) return 'not an object';
+  const extra = Object.keys(config).filter(k => !['version', 'engines', 'platforms'].includes(k));
+  if (extra.length > 0) return `unknown field ${extra[0]}`;
+  if (!Number.isInteger(config.version) || config.version < 1) return 'bad version';
+  if (!isPlainObject(config.engines)) return 'bad engines';
+
+  const names = Object.keys(config.engines);
+  if (names.length > CONFIG_MAX_ENGINES) return 'too many engines';
+  for (const name of names) {
+    if (!CONFIG_ENGINE_NAME.test(name)) return `bad engine name ${name}`;
+    const problem = validateFields(name, config.engines[name], CONFIG_ENGINE_FIELDS);
+    if (problem) return problem;
+  }
+
+  if (config.platforms !== undefined) {
+    if (!isPlainObject(config.platforms)) return 'bad platforms';
+    for (const [name, override] of Object.entries(config.platforms)) {
+      if (!CONFIG_PLATFORM_NAMES.includes(name)) return `unknown platform ${name}`;
+      const problem = validateFields(name, override, CONFIG_PLATFORM_FIELDS);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+// Resolves with the verified config, or throws with the reason it was rejected
+async function checkSignedConfig(envelope, cachedVersion) {
+  if (typeof envelope?.payload !== 'string' || typeof envelope?.signature !== 'string') {
+    throw new Error('unsigned config');
+  }
+  if (!await verifyConfigSignature(envelope.payload, envelope.signature)) {
+    throw new Error('bad signature');
+  }
+
+  const config = JSON.parse(envelope.payload);
+  const problem = validateConfig(config);
+  if (problem) throw new Error(`schema: ${problem}`);
+
+  // A validly signed but older config is a replay; never roll back
+  if (config.version < cachedVersion) {
+    throw new Error(`rollback from v${cachedVersion} to v${config.version}`);
+  }
+  return config;
+}
+
 async function fetchRemoteConfig() {
-  const apiBase = await getApiBase();
   const cached = await chrome.storage.local.get(['selectorConfig', 'configTimestamp']);
+  // Configs cached before signing was introduced carry no verifiedAt. They stay in use
+  // until the first verified config replaces them, but never count as a version floor.
+  const lastGood = cached.selectorConfig?.verifiedAt ? cached.selectorConfig : null;
 
   // Use cache if fresh
-  if (cached.selectorConfig && cached.configTimestamp &&
+  if (lastGood && cached.configTimestamp &&
       Date.now() - cached.configTimestamp < CONFIG_CACHE_DURATION) {
-    return cached.selectorConfig;
+    return lastGood;
   }
 
   try {
-    const response = await fetch(`${apiBase}/api/selectors`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const config = await response.json();
-    await chrome.storage.local.set({
-      selectorConfig: config,
-      configTimestamp: Date.now()
-    });
-    return config;
+    const { status, data } = await apiRequest('/api/selectors', { method: 'GET' });
+    if (status !== 200 || !data) throw new Error(status ? `HTTP ${status}` : 'Network error');
+
+    const config = await checkSignedConfig(data, lastGood?.version || 0);
+    const selectorConfig = { ...config, verifiedAt: Date.now() };
+    await chrome.storage.local.set({ selectorConfig, configTimestamp: Date.now() });
+    return selectorConfig;
   } catch (e) {
-    console.log('RageCheck: Remote config fetch failed, using cached/defaults', e.message);
+    // Whatever went wrong, the last good config stays active
+    console.log('RageCheck: Remote config rejected or unavailable, keeping last good config', e.message);
     return cached.selectorConfig || { version: 0, engines: {} };
   }
 }
@@ -48,6 +345,333 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'config-refresh') fetchRemoteConfig();
 });
 
+// ============================================================
+// Score cache (shared by Check buttons, dots, popup, context menu)
+// ============================================================
+
+const SCORE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SCORE_CACHE_MAX_ENTRIES = 1000;
+const SCORE_CACHE_SAVE_DELAY = 1000;
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|igshid|mc_cid|mc_eid|ref|ref_src|ref_url|si|rdt|share_id)$/i;
+
+let scoreCache = null;   // key -> { full?, dot?, createdAt, usedAt }
+let scoreCacheLoading = null;
+let scoreCacheSaveTimer = null;
+
+// Same post reached via different links should share one entry
+function normalizePostUrl(url) {
+  if (!url) return '';
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    u.hostname = u.hostname.toLowerCase().replace(/^(www|mobile|m|old)\./, '');
+    if (u.hostname === 'twitter.com') u.hostname = 'x.com';
+    for (const key of [...u.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+    }
+    u.searchParams.sort();
+    return u.toString().replace(/\/(\?|$)/, '$1');
+  } catch (e) {
+    return url;
+  }
+}
+
+// FNV-1a over whitespace-collapsed, lowercased text
+function hashText(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function scoreCacheKey(url, text) {
+  return `${normalizePostUrl(url)}#${hashText(text)}`;
+}
+
+async function loadScoreCache() {
+  if (scoreCache) return scoreCache;
+  if (!scoreCacheLoading) {
+    scoreCacheLoading = chrome.storage.local.get(['scoreCache']).then((r) => {
+      scoreCache = r.scoreCache || {};
+      return scoreCache;
+    });
+  }
+  return scoreCacheLoading;
+}
+
+function scheduleScoreCacheSave() {
+  clearTimeout(scoreCacheSaveTimer);
+  scoreCacheSaveTimer = setTimeout(() => chrome.storage.local.set({ scoreCache }), SCORE_CACHE_SAVE_DELAY);
+}
+
+// kind: 'full' (API analysis) or 'dot' (local score)
+async function cacheGet(key, kind) {
+  const cache = await loadScoreCache();
+  const entry = cache[key];
+  if (!entry || !entry[kind]) return null;
+
+  if (Date.now() - entry.createdAt > SCORE_CACHE_TTL) {
+    delete cache[key];
+    scheduleScoreCacheSave();
+    return null;
+  }
+
+  entry.usedAt = Date.now();
+  scheduleScoreCacheSave();
+  return entry[kind];
+}
+
+async function cachePut(key, kind, result) {
+  const cache = await loadScoreCache();
+  const now = Date.now();
+  const entry = cache[key] || { createdAt: now };
+  // A fresh full analysis restarts the TTL; a dot never extends a stale full result
+  if (kind === 'full') entry.createdAt = now;
+  entry[kind] = result;
+  entry.usedAt = now;
+  cache[key] = entry;
+
+  evictScoreCache(cache, now);
+  scheduleScoreCacheSave();
+}
+
+// Expired entries first, then least recently used down to the cap
+function evictScoreCache(cache, now) {
+  const keys = Object.keys(cache);
+  if (keys.length <= SCORE_CACHE_MAX_ENTRIES) return;
+
+  for (const key of keys) {
+    if (now - cache[key].createdAt > SCORE_CACHE_TTL) delete cache[key];
+  }
+
+  const live = Object.keys(cache);
+  if (live.length <= SCORE_CACHE_MAX_ENTRIES) return;
+  live.sort((a, b) => cache[a].usedAt - cache[b].usedAt);
+  for (const key of live.slice(0, live.length - SCORE_CACHE_MAX_ENTRIES)) delete cache[key];
+}
+
+async function clearScoreCache() {
+  clearTimeout(scoreCacheSaveTimer);
+  scoreCache = {};
+  await chrome.storage.local.remove('scoreCache');
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action === 'cache-lookup') {
+    cacheGet(scoreCacheKey(msg.url, msg.text), 'full').then(result => sendResponse({ result }));
+    return true;
+  }
+
+  if (msg.action === 'cache-stats') {
+    loadScoreCache().then(cache => sendResponse({ entries: Object.keys(cache).length }));
+    return true;
+  }
+
+  if (msg.action === 'cache-clear') {
+    clearScoreCache().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+});
+
+// ============================================================
+// Local scoring (auto-dots)
+// ============================================================
+
+// Tier 1 of the two-tier design: the distilled model when it's loaded, the rule
+// engine otherwise. Either way no post text leaves the browser.
+
+const MODEL_BATCH_WINDOW = 10; // ms to wait for more posts before running a batch
+const MODEL_MAX_BATCH = 16;
+const MODEL_RETRY_AFTER = 30 * 60 * 1000; // back off 30 min after a failed load
+
+let modelState = 'idle'; // 'idle' | 'loading' | 'ready' | 'failed'
+let modelFailedAt = 0;
+let modelQueue = [];     // { text, resolve, reject }
+let modelBatchTimer = null;
+
+// extension/model/ only exists when `npm run model` ran before packaging. Without it
+// there is nothing to load, so don't spin up the offscreen document at all. A model
+// missing any file would only fail inside the runtime, so all of them must be there.
+const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+const modelBundled = Promise.all(MODEL_FILES.map(file =>
+  fetch(chrome.runtime.getURL(`model/${file}`), { method: 'HEAD' }).then(res => res.ok, () => false)
+)).then(found => found.every(Boolean));
+
+// The worker forgets modelFailedAt when it shuts down; session storage keeps the backoff
+const modelFailure = chrome.storage.session.get(['modelFailedAt'])
+  .then(({ modelFailedAt: at }) => { if (at) { modelState = 'failed'; modelFailedAt = at; } }, () => {});
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+  await chrome.offscreen.createDocument({
+    url: 'offscreen/offscreen.html',
+    reasons: ['WORKERS'],
+    justification: 'Runs the on-device RageCheck scoring model (ONNX on WebAssembly)'
+  });
+}
+
+// Lazy: kicked off by the first score request, never awaited by it
+function loadModel() {
+  if (modelState === 'loading' || modelState === 'ready') return;
+  if (modelState === 'failed' && Date.now() - modelFailedAt < MODEL_RETRY_AFTER) return;
+
+  modelState = 'loading';
+  (async () => {
+    try {
+      await modelFailure;
+      if (modelState === 'failed' && Date.now() - modelFailedAt < MODEL_RETRY_AFTER) return;
+      if (!await modelBundled) {
+        modelState = 'failed';
+        modelFailedAt = Infinity; // not coming back until the extension is rebuilt
+        console.log('RageCheck: No bundled model (npm run model), using rule engine');
+        return;
+      }
+      await ensureOffscreenDocument();
+      const res = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'model-load' });
+      if (!res?.ok) throw new Error(res?.error || 'No response from offscreen document');
+      modelState = 'ready';
+      console.log(`RageCheck: Model ready (warm-up ${res.warmupMs}ms)`);
+    } catch (e) {
+      modelState = 'failed';
+      modelFailedAt = Date.now();
+      chrome.storage.session.set({ modelFailedAt }).catch(() => {});
+      console.log('RageCheck: Model unavailable, using rule engine', e.message);
+    }
+  })();
+}
+
+function enqueueModel(text) {
+  return new Promise((resolve, reject) => {
+    modelQueue.push({ text, resolve, reject });
+    if (modelQueue.length >= MODEL_MAX_BATCH) {
+      clearTimeout(modelBatchTimer);
+      modelBatchTimer = null;
+      runModelBatch();
+    } else if (!modelBatchTimer) {
+      modelBatchTimer = setTimeout(() => { modelBatchTimer = null; runModelBatch(); }, MODEL_BATCH_WINDOW);
+    }
+  });
+}
+
+// Posts from every tab share one queue, so a feed scroll becomes a few model calls
+async function runModelBatch() {
+  const batch = modelQueue.splice(0, MODEL_MAX_BATCH);
+  if (batch.length === 0) return;
+
+  try {
+    const res = await chrome.runtime.sendMessage({
+      target: 'offscreen', action: 'model-infer', texts: batch.map(b => b.text)
+    });
+    if (!res?.ok) throw new Error(res?.error || 'No response from offscreen document');
+    batch.forEach((b, i) => b.resolve(res.results[i]));
+  } catch (e) {
+    // Offscreen document gone or model crashed: reload on the next request
+    modelState = 'idle';
+    batch.forEach(b => b.reject(e));
+  }
+
+  if (modelQueue.length > 0) runModelBatch();
+}
+
+// The bundled model and the rule lexicon are English-only. Unknown languages are
+// scored as before: short posts often don't detect, and most of them are English.
+function isLocallySupported(lang) {
+  return !lang || RULE_LANGUAGES.includes(lang);
+}
+
+// Same rule as content.js: the detector's top language when it's confident
+async function detectTextLanguage(text) {
+  try {
+    const { isReliable, languages } = await chrome.i18n.detectLanguage(text);
+    const lang = isReliable && languages[0]?.language.toLowerCase().split('-')[0];
+    return lang && lang !== 'und' ? lang : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function scoreLocal(items) {
+  const ruled = items.map(item => ({ id: item.id, ...scoreText(item.text) }));
+
+  if (modelState !== 'ready') {
+    loadModel();
+    return ruled;
+  }
+
+  try {
+    const scored = await Promise.all(items.map(item => enqueueModel(item.text)));
+    return ruled.map((r, i) => ({
+      ...r,
+      score: scored[i].score,
+      signals: scored[i].signals || r.signals, // rule bars when the head has no signal outputs
+      engine: 'model'
+    }));
+  } catch (e) {
+    return ruled;
+  }
+}
+
+// Cached full analyses win over local scores: a post that was Checked keeps its API score
+async function scoreDots(items) {
+  const results = new Array(items.length);
+  const misses = [];
+
+  await Promise.all(items.map(async (item, i) => {
+    const key = scoreCacheKey(item.url, item.text);
+    const hit = (await cacheGet(key, 'full')) || (await cacheGet(key, 'dot'));
+    if (hit) {
+      results[i] = { id: item.id, score: hit.score, signals: hit.signals, engine: hit.engine || 'api' };
+    } else if (!isLocallySupported(item.lang)) {
+      results[i] = { id: item.id, unsupported: true, lang: item.lang };
+    } else {
+      misses.push({ i, key, item });
+    }
+  }));
+
+  if (misses.length > 0) {
+    const scored = await scoreLocal(misses.map(m => m.item));
+    misses.forEach((m, j) => {
+      const { score, signals, engine } = scored[j];
+      results[m.i] = { id: m.item.id, score, signals, engine };
+      cachePut(m.key, 'dot', { score, signals, engine });
+    });
+  }
+
+  return results;
+}
+
+// Content scripts send { action: 'score', text, lang? } or { action: 'score', items: [{ id, url, text, author?, lang? }], platform, thread? }.
+// Items in a language the local scorer can't read come back as { id, unsupported: true, lang }.
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action !== 'score') return;
+
+  if (Array.isArray(msg.items)) {
+    scoreDots(msg.items).then((results) => {
+      const platform = msg.platform || platformFromUrl(sender.tab?.url);
+      // Thread temperature scores comments the user may never scroll to: not exposure
+      const scored = results.filter(r => !r.unsupported);
+      if (!msg.thread) recordExposure(platform, scored.map(r => r.score));
+      recordAuthorScores(platform, msg.items
+        .map((item, i) => ({ author: item.author, text: item.text, score: results[i].score }))
+        .filter((entry, i) => !results[i].unsupported));
+      sendResponse({ results });
+    }).catch(e => sendResponse({ error: e.message }));
+  } else if (!isLocallySupported(msg.lang)) {
+    sendResponse({ unsupported: true, lang: msg.lang });
+    return;
+  } else {
+    scoreLocal([{ text: msg.text }]).then(([result]) => {
+      const { id, ...rest } = result;
+      sendResponse(rest);
+    }).catch(e => sendResponse({ error: e.message }));
+  }
+  return true;
+});
+
 // ============================================================
 // Context menu and install
 // ============================================================
@@ -55,25 +679,25 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 chrome.runtime.onInstalled.addListener((details) => {
   chrome.contextMenus.create({
     id: 'ragecheck-selection',
-    title: 'Check with RageCheck',
+    title: i18n('menuCheckSelection'),
     contexts: ['selection']
   });
 
   chrome.contextMenus.create({
     id: 'ragecheck-link',
-    title: 'Check link with RageCheck',
+    title: i18n('menuCheckLink'),
     contexts: ['link']
   });
 
   chrome.contextMenus.create({
     id: 'ragecheck-page',
-    title: 'Check this page with RageCheck',
+    title: i18n('menuCheckPage'),
     contexts: ['page']
   });
 
   chrome.contextMenus.create({
     id: 'ragecheck-scan',
-    title: 'Scan page for posts with RageCheck',
+    title: i18n('menuScanPage'),
     contexts: ['page']
   });
 
@@ -81,8 +705,8 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.notifications.create('ragecheck-welcome', {
       type: 'basic',
       iconUrl: 'icons/icon128.png',
-      title: 'RageCheck Installed',
-      message: 'Check buttons appear on Twitter, Reddit, Bluesky, Facebook, Threads, HN, YouTube, and Stack Overflow. Right-click any text or link to check it. Use "Scan page" on forums.'
+      title: i18n('welcomeTitle'),
+      message: i18n('welcomeMessage')
     });
     // Fetch config immediately on install
     fetchRemoteConfig();
@@ -106,83 +730,794 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 // Programmatic injection for Tier 2 (non-content_scripts sites)
 // ============================================================
 
+// Sends to the tab's content script, injecting it first if it isn't there.
+// Uses activeTab (granted by the user clicking the extension/context menu) or a host grant.
+async function sendToContentScript(tab, message) {
+  try {
+    return await chrome.tabs.sendMessage(tab.id, message);
+  } catch (e) {
+    await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['content.css'] });
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['i18n.js', 'ui.js', 'content.js'] });
+    // Give it a moment to init
+    await new Promise(r => setTimeout(r, 300));
+    return chrome.tabs.sendMessage(tab.id, message);
+  }
+}
+
 async function scanPage(tab) {
   if (!tab?.id) return { error: 'No active tab' };
 
   try {
-    // Try sending message to already-injected content script
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'scan-page' });
-    return response;
-  } catch (e) {
-    // Content script not injected — inject it programmatically
-    // This uses activeTab permission (granted by user clicking extension/context menu)
+    return await sendToContentScript(tab, { action: 'scan-page' });
+  } catch (injectErr) {
+    console.log('RageCheck: Could not inject into tab', injectErr.message);
+    showNotification('error', i18n('notifyScanFailedTitle'), i18n('notifyScanFailed'));
+    return { error: 'injection_failed' };
+  }
+}
+
+// Diagnostics page: { action: 'site-diagnostics', tabId, highlight? } runs the extractor
+// report (or toggles a rule's highlight) in the tab the popup was opened on
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action !== 'site-diagnostics') return;
+  (async () => {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(msg.tabId);
+    } catch (e) {
+      sendResponse({ error: 'tab_closed' });
+      return;
+    }
+    const message = msg.highlight === undefined
+      ? { action: 'diagnostics' }
+      : { action: 'diagnostics-highlight', rule: msg.highlight };
     try {
-      await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['content.css'] });
-      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
-      // Give it a moment to init, then scan
-      await new Promise(r => setTimeout(r, 300));
-      const response = await chrome.tabs.sendMessage(tab.id, { action: 'scan-page' });
-      return response;
-    } catch (injectErr) {
-      console.log('RageCheck: Could not inject into tab', injectErr.message);
-      showNotification('error', 'Cannot scan this page', 'RageCheck cannot access this page. Try a different site.');
-      return { error: 'injection_failed' };
+      sendResponse(await sendToContentScript(tab, message));
+    } catch (e) {
+      sendResponse({ error: 'injection_failed' });
     }
+  })();
+  return true;
+});
+
+// ============================================================
+// Keyboard commands (bindings live in chrome://extensions/shortcuts)
+// ============================================================
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+
+  if (command === 'scan-page') {
+    // The keypress is a user gesture, so activeTab lets scanPage inject if needed
+    const result = await scanPage(tab);
+    if (!result?.error) chrome.tabs.sendMessage(tab.id, { action: 'command', command, count: result.count || 0 }).catch(() => {});
+    return;
+  }
+
+  if (command === 'toggle-dots') {
+    const { autoDots } = await chrome.storage.sync.get(['autoDots']);
+    const next = autoDots === false; // default is on
+    await chrome.storage.sync.set({ autoDots: next });
+    chrome.tabs.sendMessage(tab.id, { action: 'command', command, autoDots: next }).catch(() => {});
+    return;
+  }
+
+  // next-post, previous-post, check-post, open-analysis: only meaningful where
+  // the content script is already running
+  chrome.tabs.sendMessage(tab.id, { action: 'command', command }).catch(() => {});
+});
+
+// ============================================================
+// User-defined site adapters (built with the selector picker)
+// ============================================================
+
+// Stored in sync as customAdapters: id -> { name, host, detect, postSelector,
+// contentSelector, actionBarSelector, createdAt }. content.js reads them directly;
+// here we only save them and keep the dynamic content script registration current.
+const ADAPTER_SCRIPT_ID = 'ragecheck-custom-adapters';
+
+function adapterId(host) {
+  return host.replace(/^www\./, '').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+}
+
+async function saveAdapter(adapter) {
+  const { customAdapters = {} } = await chrome.storage.sync.get(['customAdapters']);
+  const id = adapterId(adapter.host);
+  customAdapters[id] = {
+    name: adapter.name,
+    host: adapter.host,
+    detect: adapter.detect || adapter.postSelector,
+    postSelector: adapter.postSelector,
+    contentSelector: adapter.contentSelector || null,
+    actionBarSelector: adapter.actionBarSelector || null,
+    createdAt: customAdapters[id]?.createdAt || Date.now()
+  };
+  await chrome.storage.sync.set({ customAdapters });
+  return id;
+}
+
+// Hosts already covered by the manifest's content_scripts must not get a second copy
+function manifestCoversHost(host) {
+  const matches = chrome.runtime.getManifest().content_scripts.flatMap(cs => cs.matches);
+  return matches.some(pattern => {
+    const patternHost = pattern.split('/')[2];
+    if (patternHost.startsWith('*.')) return host === patternHost.slice(2) || host.endsWith(patternHost.slice(1));
+    return host === patternHost;
+  });
+}
+
+// Auto-inject on adapter hosts the user has granted; other hosts still work via the popup's Scan
+async function syncAdapterScripts() {
+  const { customAdapters = {} } = await chrome.storage.sync.get(['customAdapters']);
+  const { origins = [] } = await chrome.permissions.getAll();
+  const granted = (host) => origins.some(o => o === '<all_urls>' || o === `https://${host}/*` ||
+    o === `*://${host}/*` || o === 'https://*/*' || o === '*://*/*');
+
+  const matches = [...new Set(Object.values(customAdapters).map(a => a.host))]
+    .filter(host => !manifestCoversHost(host) && granted(host))
+    .map(host => `https://${host}/*`);
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [ADAPTER_SCRIPT_ID] });
+  if (existing.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [ADAPTER_SCRIPT_ID] });
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: ADAPTER_SCRIPT_ID,
+    matches,
+    js: ['i18n.js', 'ui.js', 'content.js'],
+    css: ['content.css'],
+    runAt: 'document_idle',
+    persistAcrossSessions: true
+  }]);
+}
+
+syncAdapterScripts().catch(e => console.log('RageCheck: adapter script sync failed', e.message));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.customAdapters) syncAdapterScripts().catch(() => {});
+});
+chrome.permissions.onAdded.addListener(() => syncAdapterScripts().catch(() => {}));
+chrome.permissions.onRemoved.addListener(() => syncAdapterScripts().catch(() => {}));
+
+// ============================================================
+// Embedded comment widgets (Disqus, giscus, utterances, Facebook Comments)
+// ============================================================
+
+// The widgets render inside cross-origin iframes on any news site or blog, so the
+// content script is registered for the widget's own host with allFrames rather than
+// for the pages embedding it. Each needs enabledEmbeds[name] (sync) and its host grant.
+// The manifest's facebook.com entry excludes /plugins/, so a plugin page opened as a
+// tab only ever gets this registration's copy of content.js.
+const EMBED_SCRIPT_ID = 'ragecheck-embeds';
+const EMBED_WIDGETS = {
+  disqus: { origins: ['https://disqus.com/*'], matches: ['https://disqus.com/embed/comments/*'] },
+  giscus: { origins: ['https://giscus.app/*'], matches: ['https://giscus.app/*'] },
+  utterances: { origins: ['https://utteranc.es/*'], matches: ['https://utteranc.es/*'] },
+  facebookComments: {
+    origins: ['https://www.facebook.com/*'],
+    matches: ['https://www.facebook.com/plugins/comments.php*', 'https://www.facebook.com/*/plugins/comments.php*']
   }
+};
+
+async function syncEmbedScripts() {
+  const { enabledEmbeds = {} } = await chrome.storage.sync.get(['enabledEmbeds']);
+  const matches = [];
+  for (const [name, widget] of Object.entries(EMBED_WIDGETS)) {
+    if (!enabledEmbeds[name]) continue;
+    if (await chrome.permissions.contains({ origins: widget.origins })) matches.push(...widget.matches);
+  }
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [EMBED_SCRIPT_ID] });
+  if (existing.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [EMBED_SCRIPT_ID] });
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: EMBED_SCRIPT_ID,
+    matches,
+    js: ['i18n.js', 'ui.js', 'content.js'],
+    css: ['content.css'],
+    allFrames: true,
+    runAt: 'document_idle',
+    persistAcrossSessions: true
+  }]);
 }
 
+syncEmbedScripts().catch(e => console.log('RageCheck: embed script sync failed', e.message));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.enabledEmbeds) syncEmbedScripts().catch(() => {});
+});
+chrome.permissions.onAdded.addListener(() => syncEmbedScripts().catch(() => {}));
+chrome.permissions.onRemoved.addListener(() => syncEmbedScripts().catch(() => {}));
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Popup "Teach RageCheck this site": start the picker in the active tab
+  if (msg.action === 'start-picker-from-popup') {
+    (async () => {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id) { sendResponse({ error: 'No active tab' }); return; }
+      try {
+        sendResponse(await sendToContentScript(tab, { action: 'start-picker' }));
+      } catch (e) {
+        sendResponse({ error: 'injection_failed' });
+      }
+    })();
+    return true;
+  }
+
+  if (msg.action === 'save-adapter') {
+    saveAdapter(msg.adapter).then(id => sendResponse({ ok: true, id }));
+    return true;
+  }
+
+  // Options page "Test": run the adapter in an open tab on its host
+  if (msg.action === 'test-adapter') {
+    (async () => {
+      const tabs = await chrome.tabs.query({ url: [`https://${msg.adapter.host}/*`, `http://${msg.adapter.host}/*`] });
+      if (tabs.length === 0) { sendResponse({ error: i18n('adapterTestNoTab', msg.adapter.host) }); return; }
+      try {
+        sendResponse(await chrome.tabs.sendMessage(tabs[0].id, { action: 'test-adapter', adapter: msg.adapter }));
+      } catch (e) {
+        sendResponse({ error: i18n('adapterTestReload', msg.adapter.host) });
+      }
+    })();
+    return true;
+  }
+});
+
 // ============================================================
 // Analysis functions
 // ============================================================
 
+// Full API analysis, read-through the score cache. Resolves with the API's
+// { success, score, label, reasons, signals } shape, or { success: false, rateLimited | offline | unsupported }.
+// lang is the content script's guess; the API has the final say on what it can score.
+async function analyzeWithCache({ url, text, context, lang }) {
+  const key = scoreCacheKey(url, text);
+  const cached = await cacheGet(key, 'full');
+  if (cached) return { success: true, ...cached, cached: true };
+
+  const payload = { source: 'extension', spans: true }; // spans: ask for per-signal character spans
+  if (url) payload.url = url;
+  if (text) payload.text = text;
+  // { text, quoted, replyTo, linkCards, altText, author } from content.js
+  if (context) payload.context = context;
+  if (lang) payload.lang = lang;
+
+  const { status, data, retryAfter } = await apiRequest('/api/analyze', { body: payload });
+
+  if (status === 429) return { success: false, rateLimited: true, retryAfter };
+  if (status === 0 || !data) return { success: false, offline: true };
+  if (data.unsupported || data.error === 'unsupported_language') {
+    return { success: false, unsupported: true, lang: data.lang || lang };
+  }
+
+  if (data.success) {
+    data.spans = resolveSpans(data.spans, text);
+    const { score, label, reasons = [], signals = {}, spans } = data;
+    await cachePut(key, 'full', { score, label, reasons, signals, spans });
+
+    // The dot the user saw disagreed with the full analysis: a hard example for retraining
+    const dot = await cacheGet(key, 'dot');
+    if (dot && Math.abs(dot.score - score) > FEEDBACK_GAP) {
+      recordFeedback({ kind: 'gap', url, text, lang, dot, full: { score, signals } }).catch(() => {});
+    }
+  }
+  return data;
+}
+
+// Character spans that drove each signal, with the phrase attached so content.js can
+// find it again in the page. The API's spans win; without them the rule engine's are
+// used, since its lexicon explains most of what the API flags.
+function resolveSpans(apiSpans, text) {
+  if (!text) return [];
+  const valid = Array.isArray(apiSpans)
+    ? apiSpans.filter(s => RULE_SIGNALS.includes(s?.signal) && Number.isInteger(s.start) &&
+        Number.isInteger(s.end) && s.start >= 0 && s.end > s.start && s.end <= text.length)
+    : [];
+  const spans = valid.length > 0 ? valid : scoreText(text).spans;
+  return spans.slice(0, RULE_MAX_SPANS).map(({ signal, start, end }) => ({ signal, start, end, text: text.slice(start, end) }));
+}
+
+// Check buttons and the popup: { action: 'analyze', url?, text?, context?, lang?, source, platform? }
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action !== 'analyze') return;
+
+  // Popup text and bulk snippets come without a page to read a lang from; detect it here
+  const detecting = msg.lang === undefined && msg.text ? detectTextLanguage(msg.text) : Promise.resolve(msg.lang);
+
+  detecting.then(lang => analyzeWithCache({ url: msg.url, text: msg.text, context: msg.context, lang })).then((data) => {
+    if (data.success) {
+      recordHistory({ url: msg.url, text: msg.text, platform: msg.platform, source: msg.source || 'button' }, data);
+      if (msg.source === 'button') recordCheckExposure(msg.platform, data.score);
+      if (msg.context?.author) {
+        recordAuthorScores(msg.platform, [{ author: msg.context.author, text: msg.text, score: data.score, full: true }]);
+      }
+    }
+    sendResponse(data);
+  }).catch(e => sendResponse({ success: false, error: e.message }));
+  return true;
+});
+
 async function analyzeText(text, tab) {
-  await showNotification('analyzing', 'Analyzing...', 'Checking content for rage bait...');
+  await showNotification('analyzing', i18n('notifyAnalyzingTitle'), i18n('notifyAnalyzingText'));
 
   try {
-    const apiBase = await getApiBase();
-    const response = await fetch(`${apiBase}/api/analyze`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ text, source: 'extension' })
-    });
-
-    const data = await response.json();
+    const data = await analyzeWithCache({ text, lang: await detectTextLanguage(text) });
 
     if (data.success) {
-      showResultNotification(data.score, data.label, text.substring(0, 100));
+      recordHistory({ url: tab?.url, text, source: 'context-menu' }, data);
+      showResultNotification(data.score, data.label, text.substring(0, 100), { ...data, excerpt: text, url: tab?.url });
       updateBadge(data.score, tab?.id);
+    } else if (data.unsupported) {
+      showNotification('error', i18n('notifyUnsupportedTitle'), i18n('errorUnsupportedLanguage', languageName(data.lang)));
+    } else if (data.rateLimited) {
+      showNotification('error', i18n('notifyRateLimitedTitle'), i18n('notifyRateLimited'));
+    } else if (data.offline) {
+      showNotification('error', i18n('notifyConnectionTitle'), i18n('notifyConnection'));
     } else {
-      showNotification('error', 'Analysis Failed', data.error || 'Could not analyze content');
+      showNotification('error', i18n('notifyFailedTitle'), data.error || i18n('notifyFailedContent'));
     }
   } catch (err) {
-    showNotification('error', 'Connection Error', 'Could not reach RageCheck API');
+    showNotification('error', i18n('notifyConnectionTitle'), i18n('notifyConnection'));
   }
 }
 
 async function analyzeUrl(url, tab) {
-  await showNotification('analyzing', 'Analyzing...', 'Checking URL for rage bait...');
+  await showNotification('analyzing', i18n('notifyAnalyzingTitle'), i18n('notifyAnalyzingUrl'));
 
   try {
-    const apiBase = await getApiBase();
-    const response = await fetch(`${apiBase}/api/analyze`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url, source: 'extension' })
-    });
-
-    const data = await response.json();
+    const data = await analyzeWithCache({ url });
 
     if (data.success) {
-      showResultNotification(data.score, data.label, url);
+      recordHistory({ url, source: 'context-menu' }, data);
+      showResultNotification(data.score, data.label, url, { ...data, url });
       updateBadge(data.score, tab?.id);
+    } else if (data.unsupported) {
+      showNotification('error', i18n('notifyUnsupportedTitle'), i18n('errorUnsupportedLanguage', languageName(data.lang)));
+    } else if (data.rateLimited) {
+      showNotification('error', i18n('notifyRateLimitedTitle'), i18n('notifyRateLimited'));
+    } else if (data.offline) {
+      showNotification('error', i18n('notifyConnectionTitle'), i18n('notifyConnection'));
     } else {
-      showNotification('error', 'Analysis Failed', data.error || 'Could not analyze URL');
+      showNotification('error', i18n('notifyFailedTitle'), data.error || i18n('notifyFailedUrl'));
     }
   } catch (err) {
-    showNotification('error', 'Connection Error', 'Could not reach RageCheck API');
+    showNotification('error', i18n('notifyConnectionTitle'), i18n('notifyConnection'));
+  }
+}
+
+// ============================================================
+// Check history
+// ============================================================
+
+const HISTORY_MAX_ENTRIES = 2000;
+const HISTORY_EXCERPT_LENGTH = 280;
+
+// Hostname fragments -> platform name, for checks that don't come from a content script
+const HISTORY_PLATFORM_HOSTS = {
+  twitter: ['twitter.com', 'x.com'],
+  bluesky: ['bsky.app'],
+  facebook: ['facebook.com'],
+  reddit: ['reddit.com'],
+  threads: ['threads.net'],
+  hackernews: ['news.ycombinator.com'],
+  youtube: ['youtube.com', 'youtu.be'],
+  stackoverflow: ['stackoverflow.com', 'stackexchange.com']
+};
+
+function platformFromUrl(url) {
+  try {
+    const host = new URL(url).hostname;
+    for (const [name, hosts] of Object.entries(HISTORY_PLATFORM_HOSTS)) {
+      if (hosts.some(h => host === h || host.endsWith('.' + h))) return name;
+    }
+    return host.replace(/^www\./, '');
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+// source: 'button' | 'popup' | 'bulk' | 'context-menu'
+function recordHistory({ url, text, platform, source }, data) {
+  const entry = {
+    id: newId(),
+    url: url || null,
+    platform: platform || (url ? platformFromUrl(url) : 'unknown'),
+    source,
+    score: data.score,
+    label: data.label || null,
+    signals: data.signals || {},
+    reasons: data.reasons || [],
+    excerpt: text ? text.replace(/\s+/g, ' ').trim().slice(0, HISTORY_EXCERPT_LENGTH) : null,
+    cached: !!data.cached,
+    checkedAt: Date.now()
+  };
+
+  serialize('checkHistory', async () => {
+    const { checkHistory = [] } = await chrome.storage.local.get(['checkHistory']);
+    checkHistory.unshift(entry);
+    if (checkHistory.length > HISTORY_MAX_ENTRIES) checkHistory.length = HISTORY_MAX_ENTRIES;
+    await chrome.storage.local.set({ checkHistory });
+  }).catch(() => {});
+}
+
+// ============================================================
+// Feedback samples: dot/Check disagreements and user ratings
+// ============================================================
+
+// Kept in storage.local until exported or cleared; posted to /api/feedback only with
+// the shareFeedback opt-in. Sent samples stay (marked sentAt) so exports stay complete.
+const FEEDBACK_GAP = 20;             // dot vs full score, in points
+const FEEDBACK_OUTBOX_MAX = 500;
+const FEEDBACK_TEXT_LENGTH = 2000;
+const FEEDBACK_BATCH_SIZE = 25;
+const FEEDBACK_VOTES = ['up', 'down'];
+const FEEDBACK_DIRECTIONS = ['too_high', 'too_low'];
+
+let feedbackFlushing = false;
+
+function updateFeedbackOutbox(update) {
+  return updateOutbox('feedbackOutbox', { max: FEEDBACK_OUTBOX_MAX }, update);
+}
+
+// kind: 'gap' | 'rating'; a rating may carry a vote and/or a direction
+async function recordFeedback({ kind, url, text, lang, platform, dot, full, vote, direction }) {
+  const sample = {
+    id: newId(),
+    kind,
+    url: url || null,
+    platform: platform || (url ? platformFromUrl(url) : 'unknown'),
+    text: text ? text.slice(0, FEEDBACK_TEXT_LENGTH) : null,
+    lang: lang ?? (text ? await detectTextLanguage(text) : null),
+    dot: dot ? { score: dot.score, signals: dot.signals || {}, engine: dot.engine || null } : null,
+    full: full ? { score: full.score, signals: full.signals || {} } : null,
+    vote: vote || null,
+    direction: direction || null,
+    createdAt: Date.now(),
+    sentAt: null
+  };
+  await updateFeedbackOutbox((outbox) => { outbox.push(sample); });
+  scheduleFeedbackFlush();
+  return sample.id;
+}
+
+// A 'down' vote followed by "too high"/"too low" amends the same sample while it's unsent
+async function amendFeedback(id, changes) {
+  return updateFeedbackOutbox((outbox) => {
+    const sample = outbox.find(f => f.id === id && !f.sentAt);
+    if (!sample) return false;
+    Object.assign(sample, changes);
+    return true;
+  });
+}
+
+function scheduleFeedbackFlush() {
+  chrome.alarms.create('feedback-flush', { delayInMinutes: 1 });
+}
+
+async function flushFeedback() {
+  if (feedbackFlushing) return;
+  const { shareFeedback } = await chrome.storage.sync.get(['shareFeedback']);
+  if (!shareFeedback) return;
+
+  feedbackFlushing = true;
+  try {
+    const { feedbackOutbox = [] } = await chrome.storage.local.get(['feedbackOutbox']);
+    const unsent = feedbackOutbox.filter(f => !f.sentAt);
+    const batch = unsent.slice(0, FEEDBACK_BATCH_SIZE);
+    if (batch.length === 0) return;
+
+    const { status } = await apiRequest('/api/feedback', {
+      body: { samples: batch.map(({ sentAt, ...sample }) => sample) }, ...BACKGROUND_REQUEST
+    });
+    if (status < 200 || status >= 300) return; // stays unsent; the periodic alarm retries
+
+    const ids = new Set(batch.map(f => f.id));
+    const sentAt = Date.now();
+    await updateFeedbackOutbox((outbox) => {
+      for (const f of outbox) if (ids.has(f.id)) f.sentAt = sentAt;
+    });
+    if (unsent.length > batch.length) scheduleFeedbackFlush();
+  } finally {
+    feedbackFlushing = false;
+  }
+}
+
+chrome.alarms.create('feedback-flush-periodic', { periodInMinutes: 60 });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'feedback-flush' || alarm.name === 'feedback-flush-periodic') flushFeedback();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.shareFeedback?.newValue) flushFeedback();
+});
+
+// Tooltip ratings: { action: 'feedback', url, text, platform, vote?, direction?, id? } -> { id }
+// With id, the earlier sample is amended instead of adding a new one.
+// Options page: { action: 'feedback-clear' }
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action === 'feedback') {
+    const vote = FEEDBACK_VOTES.includes(msg.vote) ? msg.vote : undefined;
+    const direction = FEEDBACK_DIRECTIONS.includes(msg.direction) ? msg.direction : undefined;
+    (async () => {
+      const changes = { ...(vote && { vote }), ...(direction && { direction }) };
+      if (msg.id && await amendFeedback(msg.id, changes)) {
+        sendResponse({ id: msg.id });
+        return;
+      }
+      const key = scoreCacheKey(msg.url, msg.text);
+      const [full, dot] = [await cacheGet(key, 'full'), await cacheGet(key, 'dot')];
+      const id = await recordFeedback({
+        kind: 'rating', url: msg.url, text: msg.text, platform: msg.platform, dot, full, ...changes
+      });
+      sendResponse({ id });
+    })().catch(() => sendResponse({ id: null }));
+    return true;
+  }
+
+  if (msg.action === 'feedback-clear') {
+    updateFeedbackOutbox((outbox) => { outbox.length = 0; })
+      .then(() => sendResponse({ ok: true }), e => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+});
+
+// ============================================================
+// Exposure stats and weekly digest
+// ============================================================
+
+// Per day and platform: how many posts were dotted and how hot they were, plus
+// Check clicks. Dot bands match the dot colors (clean <10, borderline <50, rage bait).
+const STATS_KEEP_DAYS = 60;
+const STATS_SAVE_DELAY = 2000;
+const DIGEST_PERIOD_MINUTES = 7 * 24 * 60;
+
+const PLATFORM_DISPLAY_NAMES = {
+  twitter: 'X', bluesky: 'Bluesky', facebook: 'Facebook', reddit: 'Reddit', threads: 'Threads',
+  hackernews: 'Hacker News', youtube: 'YouTube', stackoverflow: 'Stack Overflow'
+};
+
+let pendingExposure = {}; // day -> platform -> counters, merged into storage on save
+let exposureSaveTimer = null;
+
+function dayKey(ts = Date.now()) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function emptyExposure() {
+  return { seen: 0, clean: 0, borderline: 0, rage: 0, scoreSum: 0, checks: 0, checkSum: 0, checkHigh: 0 };
+}
+
+function pendingBucket(platform) {
+  const day = dayKey();
+  pendingExposure[day] = pendingExposure[day] || {};
+  pendingExposure[day][platform] = pendingExposure[day][platform] || emptyExposure();
+  return pendingExposure[day][platform];
+}
+
+function recordExposure(platform, scores) {
+  if (scores.length === 0) return;
+  const b = pendingBucket(platform || 'unknown');
+  for (const score of scores) {
+    b.seen++;
+    b.scoreSum += score;
+    if (score >= 50) b.rage++;
+    else if (score >= 10) b.borderline++;
+    else b.clean++;
+  }
+  scheduleExposureSave();
+}
+
+function recordCheckExposure(platform, score) {
+  const b = pendingBucket(platform || 'unknown');
+  b.checks++;
+  b.checkSum += score;
+  if (score >= 66) b.checkHigh++;
+  scheduleExposureSave();
+}
+
+function scheduleExposureSave() {
+  clearTimeout(exposureSaveTimer);
+  exposureSaveTimer = setTimeout(saveExposure, STATS_SAVE_DELAY);
+}
+
+function saveExposure() {
+  return serialize('exposureStats', mergeExposure).catch(() => {});
+}
+
+async function mergeExposure() {
+  const pending = pendingExposure;
+  pendingExposure = {};
+  if (Object.keys(pending).length === 0) return;
+
+  const { exposureStats = {} } = await chrome.storage.local.get(['exposureStats']);
+  for (const [day, platforms] of Object.entries(pending)) {
+    exposureStats[day] = exposureStats[day] || {};
+    for (const [platform, counts] of Object.entries(platforms)) {
+      const into = exposureStats[day][platform] || emptyExposure();
+      for (const key of Object.keys(counts)) into[key] = (into[key] || 0) + counts[key];
+      exposureStats[day][platform] = into;
+    }
+  }
+
+  const oldest = dayKey(Date.now() - STATS_KEEP_DAYS * 24 * 60 * 60 * 1000);
+  for (const day of Object.keys(exposureStats)) {
+    if (day < oldest) delete exposureStats[day];
+  }
+
+  await chrome.storage.local.set({ exposureStats });
+}
+
+// Totals per platform over the last `days` days (today included)
+function summarizeExposure(exposureStats, days) {
+  const totals = {};
+  for (let i = 0; i < days; i++) {
+    const day = exposureStats[dayKey(Date.now() - i * 24 * 60 * 60 * 1000)] || {};
+    for (const [platform, counts] of Object.entries(day)) {
+      totals[platform] = totals[platform] || emptyExposure();
+      for (const key of Object.keys(counts)) totals[platform][key] += counts[key];
+    }
   }
+  return totals;
 }
 
+async function sendWeeklyDigest() {
+  const { weeklyDigest } = await chrome.storage.sync.get(['weeklyDigest']);
+  if (!weeklyDigest) return;
+
+  await saveExposure();
+  const { exposureStats = {} } = await chrome.storage.local.get(['exposureStats']);
+  const totals = Object.entries(summarizeExposure(exposureStats, 7)).filter(([, t]) => t.seen > 0);
+  if (totals.length === 0) return;
+
+  // Lead with the platform you scrolled most
+  totals.sort((a, b) => b[1].seen - a[1].seen);
+  const [platform, top] = totals[0];
+  const name = PLATFORM_DISPLAY_NAMES[platform] || platform;
+  const pct = Math.round(((top.borderline + top.rage) / top.seen) * 100);
+
+  const seen = totals.reduce((sum, [, t]) => sum + t.seen, 0);
+  const rage = totals.reduce((sum, [, t]) => sum + t.rage, 0);
+
+  showNotification('digest', i18n('digestTitle'), i18n('digestMessage', pct, name, rage, seen));
+}
+
+// Only create the alarm once: re-creating it on every worker start would keep pushing it back
+chrome.alarms.get('weekly-digest', (alarm) => {
+  if (!alarm) chrome.alarms.create('weekly-digest', { periodInMinutes: DIGEST_PERIOD_MINUTES });
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'weekly-digest') sendWeeklyDigest();
+});
+
+// ============================================================
+// Author reputation (never leaves the device)
+// ============================================================
+
+// authorStats: "platform:author" -> { platform, author, recent: [{ h, s, f? }], lastSeen }
+// recent is a rolling window of the author's last distinct posts (h = text hash), so
+// seeing the same post again never counts twice. f marks a full Check result, which
+// a later local dot score for the same post doesn't overwrite.
+const AUTHOR_WINDOW = 20;
+const AUTHOR_MAX_ENTRIES = 3000;
+const AUTHOR_SAVE_DELAY = 2000;
+const AUTHOR_MIN_POSTS = 3;     // don't judge anyone on one or two posts
+const AUTHOR_OFFENDER_AVG = 50; // red-dot territory on average
+
+let authorStats = null;
+let authorStatsLoading = null;
+let authorSaveTimer = null;
+
+function authorKey(platform, author) {
+  return `${platform}:${author.toLowerCase()}`;
+}
+
+async function loadAuthorStats() {
+  if (authorStats) return authorStats;
+  if (!authorStatsLoading) {
+    authorStatsLoading = chrome.storage.local.get(['authorStats']).then((r) => {
+      authorStats = r.authorStats || {};
+      return authorStats;
+    });
+  }
+  return authorStatsLoading;
+}
+
+function scheduleAuthorSave() {
+  clearTimeout(authorSaveTimer);
+  authorSaveTimer = setTimeout(() => chrome.storage.local.set({ authorStats }), AUTHOR_SAVE_DELAY);
+}
+
+function authorAverage(entry) {
+  return Math.round(entry.recent.reduce((sum, r) => sum + r.s, 0) / entry.recent.length);
+}
+
+// scored: [{ author, text, score, full? }]
+async function recordAuthorScores(platform, scored) {
+  const valid = scored.filter(x => x.author && typeof x.score === 'number');
+  if (!platform || valid.length === 0) return;
+
+  const stats = await loadAuthorStats();
+  const now = Date.now();
+  for (const { author, text, score, full } of valid) {
+    const key = authorKey(platform, author);
+    const entry = stats[key] || { platform, author, recent: [] };
+    const h = hashText(text);
+    const seen = entry.recent.find(r => r.h === h);
+    if (!seen) {
+      entry.recent.push(full ? { h, s: score, f: 1 } : { h, s: score });
+      if (entry.recent.length > AUTHOR_WINDOW) entry.recent.shift();
+    } else if (full || !seen.f) {
+      seen.s = score;
+      if (full) seen.f = 1;
+    }
+    entry.lastSeen = now;
+    stats[key] = entry;
+  }
+
+  evictAuthorStats(stats);
+  scheduleAuthorSave();
+}
+
+// Least recently seen authors go first
+function evictAuthorStats(stats) {
+  const keys = Object.keys(stats);
+  if (keys.length <= AUTHOR_MAX_ENTRIES) return;
+  keys.sort((a, b) => stats[a].lastSeen - stats[b].lastSeen);
+  for (const key of keys.slice(0, keys.length - AUTHOR_MAX_ENTRIES)) delete stats[key];
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Content scripts: which of these authors get a badge? Only repeat offenders are returned.
+  if (msg.action === 'author-reputation') {
+    loadAuthorStats().then((stats) => {
+      const reputations = {};
+      for (const author of msg.authors || []) {
+        const entry = stats[authorKey(msg.platform, author)];
+        if (!entry || entry.recent.length < AUTHOR_MIN_POSTS) continue;
+        const avg = authorAverage(entry);
+        if (avg >= AUTHOR_OFFENDER_AVG) reputations[author] = { avg, posts: entry.recent.length };
+      }
+      sendResponse({ reputations });
+    });
+    return true;
+  }
+
+  // Options page review list
+  if (msg.action === 'author-list') {
+    loadAuthorStats().then((stats) => {
+      const authors = Object.entries(stats).map(([key, entry]) => ({
+        key,
+        platform: entry.platform,
+        author: entry.author,
+        avg: authorAverage(entry),
+        posts: entry.recent.length,
+        lastSeen: entry.lastSeen,
+        offender: entry.recent.length >= AUTHOR_MIN_POSTS && authorAverage(entry) >= AUTHOR_OFFENDER_AVG
+      }));
+      sendResponse({ authors });
+    }).catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+
+  // { key } resets one author, { all: true } resets everyone
+  if (msg.action === 'author-reset') {
+    loadAuthorStats().then((stats) => {
+      if (msg.all) {
+        for (const key of Object.keys(stats)) delete stats[key];
+      } else {
+        delete stats[msg.key];
+      }
+      clearTimeout(authorSaveTimer);
+      return chrome.storage.local.set({ authorStats: stats }).then(() => sendResponse({ ok: true }));
+    }).catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+});
+
 // ============================================================
 // Badge
 // ============================================================
@@ -200,33 +1535,79 @@ function updateBadge(score, tabId) {
   chrome.action.setBadgeBackgroundColor({ color, ...opts });
 }
 
+// ============================================================
+// Share cards
+// ============================================================
+
+// Only what the card draws; the excerpt is capped well past what fits
+function shareCardData({ score, signals, reasons, excerpt, url }) {
+  return {
+    score,
+    signals: signals || {},
+    reasons: (reasons || []).slice(0, 3),
+    excerpt: excerpt ? excerpt.replace(/\s+/g, ' ').trim().slice(0, 400) : null,
+    url: url || null
+  };
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+// Content scripts: { action: 'render-share-card', card } -> { dataUrl, filename } or { error }
+// Pages load share-card.js and draw their own.
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action !== 'render-share-card') return;
+
+  const card = shareCardData(msg.card || {});
+  renderShareCard(card)
+    .then(blobToDataUrl)
+    .then(dataUrl => sendResponse({ dataUrl, filename: shareCardFilename(card.score) }))
+    .catch(e => sendResponse({ error: e.message }));
+  return true;
+});
+
 // ============================================================
 // Notifications
 // ============================================================
 
-function showResultNotification(score, label, content) {
+// card: the result plus excerpt/url, kept for the notification's "Share card" button
+function showResultNotification(score, label, content, card) {
   let level, emoji;
-  if (score >= 66) { level = 'High Rage'; emoji = '🔴'; }
-  else if (score >= 33) { level = 'Medium Rage'; emoji = '🟡'; }
-  else { level = 'Low Rage'; emoji = '🟢'; }
+  if (score >= 66) { level = 'high'; emoji = '🔴'; }
+  else if (score >= 33) { level = 'medium'; emoji = '🟡'; }
+  else { level = 'low'; emoji = '🟢'; }
 
-  const title = `${emoji} ${score}/100 - ${level}`;
+  const title = `${emoji} ${i18n('scoreOutOf100', score)} - ${i18n(`level_${level}`)}`;
   const preview = content.length > 80 ? content.substring(0, 80) + '...' : content;
-  showNotification('result', title, preview);
+  chrome.storage.session.set({ shareCard: shareCardData(card) });
+  showNotification('result', title, preview, [{ title: i18n('notifyShareCard') }]);
 }
 
-async function showNotification(id, title, message) {
+async function showNotification(id, title, message, buttons) {
   chrome.notifications.clear('ragecheck-' + id);
   chrome.notifications.create('ragecheck-' + id, {
     type: 'basic',
     iconUrl: 'icons/icon128.png',
     title,
-    message
+    message,
+    ...(buttons && { buttons })
   });
 }
 
+chrome.notifications.onButtonClicked.addListener((notificationId) => {
+  if (notificationId === 'ragecheck-result') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('share/share.html') });
+  }
+});
+
 chrome.notifications.onClicked.addListener(async (notificationId) => {
-  if (notificationId.startsWith('ragecheck-')) {
+  if (notificationId === 'ragecheck-digest') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+  } else if (notificationId.startsWith('ragecheck-')) {
     const apiBase = await getApiBase();
     chrome.tabs.create({ url: apiBase });
   }
@@ -236,27 +1617,65 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
 // Tier 3: Diagnostic collection
 // ============================================================
 
-let diagnosticBatch = [];
-const DIAGNOSTIC_FLUSH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Reports wait in storage.local (diagnosticOutbox) so a worker shutdown doesn't lose them.
+// Each entry keeps the exact report that is (or was) posted, for the options page's
+// "what we send" panel. Sent entries stay there until they age out or are purged.
 const DIAGNOSTIC_BATCH_SIZE = 20;
+const DIAGNOSTIC_OUTBOX_MAX = 200;
+const DIAGNOSTIC_MAX_AGE = 7 * 24 * 60 * 60 * 1000;     // sent or not, reports older than this are dropped
+const DIAGNOSTIC_RETRY_BASE = 5 * 60 * 1000;           // first retry after a failed flush, doubling
+const DIAGNOSTIC_RETRY_MAX = 6 * 60 * 60 * 1000;
 
-// Collect diagnostics from content scripts
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === 'diagnostic') {
-    diagnosticBatch.push({
+let diagnosticFlushing = false;
+
+function updateDiagnosticOutbox(update) {
+  return updateOutbox('diagnosticOutbox', { max: DIAGNOSTIC_OUTBOX_MAX, maxAge: DIAGNOSTIC_MAX_AGE }, update);
+}
+
+// Only the fields listed here are ever posted. Nothing is stored without the
+// telemetry opt-in; resolves with the number of unsent reports.
+async function queueDiagnostic(msg) {
+  const { telemetry } = await chrome.storage.sync.get(['telemetry']);
+  if (!telemetry) return 0;
+
+  const entry = {
+    id: newId(),
+    report: {
       domain: msg.domain,
       engine: msg.engine,
       outcome: msg.outcome,
       selector: msg.selector,
+      comparison: msg.comparison || undefined,
       timestamp: msg.timestamp
-    });
+    },
+    createdAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastStatus: null,
+    sentAt: null
+  };
+  return updateDiagnosticOutbox((outbox) => {
+    outbox.push(entry);
+    return outbox.filter(d => !d.sentAt).length;
+  });
+}
 
-    if (diagnosticBatch.length >= DIAGNOSTIC_BATCH_SIZE) {
-      flushDiagnostics();
-    }
+// Collect diagnostics from content scripts
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.type === 'diagnostic') {
+    queueDiagnostic(msg).then((unsent) => {
+      if (unsent >= DIAGNOSTIC_BATCH_SIZE) flushDiagnostics();
+    }).catch(() => {});
     sendResponse({ ok: true });
   }
 
+  // Options page "what we send" panel: { action: 'diagnostics-purge' }
+  if (msg.action === 'diagnostics-purge') {
+    updateDiagnosticOutbox((outbox) => { outbox.length = 0; })
+      .then(() => sendResponse({ ok: true }), e => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+
   // Handle scan-page request from popup
   if (msg.action === 'scan-from-popup') {
     (async () => {
@@ -283,23 +1702,48 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 });
 
-async function flushDiagnostics() {
-  if (diagnosticBatch.length === 0) return;
+function diagnosticRetryDelay(attempts) {
+  return Math.min(DIAGNOSTIC_RETRY_MAX, DIAGNOSTIC_RETRY_BASE * 2 ** (attempts - 1));
+}
 
-  const batch = [...diagnosticBatch];
-  diagnosticBatch = [];
+async function flushDiagnostics() {
+  if (diagnosticFlushing) return;
+  const { telemetry } = await chrome.storage.sync.get(['telemetry']);
+  if (!telemetry) return;
 
+  diagnosticFlushing = true;
+  let more = false;
   try {
-    const apiBase = await getApiBase();
-    await fetch(`${apiBase}/api/diagnostics`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ reports: batch })
+    const { diagnosticOutbox = [] } = await chrome.storage.local.get(['diagnosticOutbox']);
+    const now = Date.now();
+    const due = diagnosticOutbox.filter(d => !d.sentAt && !d.rejected && d.nextAttemptAt <= now);
+    const batch = due.slice(0, DIAGNOSTIC_BATCH_SIZE);
+    if (batch.length === 0) return;
+
+    const { status } = await apiRequest('/api/diagnostics', {
+      body: { reports: batch.map(d => d.report) }, ...BACKGROUND_REQUEST
     });
-  } catch (e) {
-    // If flush fails, put items back (up to limit)
-    diagnosticBatch.push(...batch.slice(0, DIAGNOSTIC_BATCH_SIZE));
+    const ok = status >= 200 && status < 300;
+    // Other 4xx: the server won't take these reports, so retrying can't help
+    const retry = status === 0 || status === 429 || status >= 500;
+
+    const ids = new Set(batch.map(d => d.id));
+    const at = Date.now();
+    await updateDiagnosticOutbox((outbox) => {
+      for (const d of outbox) {
+        if (!ids.has(d.id)) continue;
+        d.attempts++;
+        d.lastStatus = status;
+        if (ok) d.sentAt = at;
+        else if (retry) d.nextAttemptAt = at + diagnosticRetryDelay(d.attempts);
+        else d.rejected = true;
+      }
+    });
+    more = ok && due.length > batch.length;
+  } finally {
+    diagnosticFlushing = false;
   }
+  if (more) flushDiagnostics();
 }
 
 // Periodic flush
@@ -307,3 +1751,10 @@ chrome.alarms.create('diagnostic-flush', { periodInMinutes: 5 });
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'diagnostic-flush') flushDiagnostics();
 });
+
+// Turning telemetry off withdraws anything not yet sent
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.telemetry) return;
+  if (changes.telemetry.newValue) flushDiagnostics();
+  else updateDiagnosticOutbox((outbox) => outbox.splice(0, outbox.length, ...outbox.filter(d => d.sentAt))).catch(() => {});
+});
@@ -13,31 +13,94 @@ let enabledPlatforms = {
   twitter: true, bluesky: true, facebook: true, reddit: true, threads: true,
   hackernews: true, youtube: true, stackoverflow: true
 };
+let shieldEnabled = false; // Blur/collapse posts above the platform's threshold
+let shieldMode = 'blur';   // 'blur' | 'collapse'
+let shieldPending = false; // Also blur posts until their score arrives
+let threadTemperature = false; // Score whole comment threads and show their temperature
+let authorBadges = true; // Badge next to authors whose recent posts average high
+let shieldThresholds = {
+  twitter: 66, bluesky: 66, facebook: 66, reddit: 66, threads: 66,
+  hackernews: 66, youtube: 66, stackoverflow: 66, other: 66
+};
 
-chrome.storage.sync.get(['apiBase', 'autoCheck', 'autoDots', 'enabledPlatforms', 'telemetry'], (s) => {
+chrome.storage.sync.get(['apiBase', 'autoCheck', 'autoDots', 'enabledPlatforms', 'telemetry',
+  'shieldEnabled', 'shieldMode', 'shieldPending', 'shieldThresholds', 'threadTemperature', 'authorBadges'], (s) => {
   if (s.apiBase) API_BASE = s.apiBase;
   if (s.autoCheck !== undefined) autoCheck = s.autoCheck;
   if (s.autoDots !== undefined) autoDots = s.autoDots;
   if (s.enabledPlatforms) enabledPlatforms = { ...enabledPlatforms, ...s.enabledPlatforms };
   if (s.telemetry !== undefined) telemetryEnabled = s.telemetry;
+  if (s.shieldEnabled !== undefined) shieldEnabled = s.shieldEnabled;
+  if (s.shieldMode) shieldMode = s.shieldMode;
+  if (s.shieldPending !== undefined) shieldPending = s.shieldPending;
+  if (s.shieldThresholds) shieldThresholds = { ...shieldThresholds, ...s.shieldThresholds };
+  if (s.authorBadges !== undefined) authorBadges = s.authorBadges;
+  if (s.threadTemperature) {
+    threadTemperature = true;
+    scheduleThreadScan();
+  }
 });
 
 chrome.storage.onChanged.addListener((changes) => {
   if (changes.apiBase) API_BASE = changes.apiBase.newValue || DEFAULT_API_BASE;
   if (changes.autoCheck) autoCheck = changes.autoCheck.newValue;
-  if (changes.autoDots !== undefined) autoDots = changes.autoDots.newValue;
+  if (changes.autoDots !== undefined) {
+    autoDots = changes.autoDots.newValue;
+    if (autoDots) {
+      refreshDotObservations();
+    } else {
+      dotQueue.clear();
+      clearPendingShields();
+    }
+  }
   if (changes.enabledPlatforms) enabledPlatforms = { ...enabledPlatforms, ...changes.enabledPlatforms.newValue };
   if (changes.telemetry) telemetryEnabled = changes.telemetry.newValue;
+  if (changes.shieldEnabled) {
+    shieldEnabled = changes.shieldEnabled.newValue;
+    if (!shieldEnabled) clearShields();
+  }
+  if (changes.shieldMode) shieldMode = changes.shieldMode.newValue || 'blur';
+  if (changes.shieldPending) {
+    shieldPending = changes.shieldPending.newValue;
+    if (!shieldPending) clearPendingShields();
+  }
+  if (changes.shieldThresholds) shieldThresholds = { ...shieldThresholds, ...changes.shieldThresholds.newValue };
+  if (changes.authorBadges) {
+    authorBadges = changes.authorBadges.newValue !== false;
+    if (!authorBadges) document.querySelectorAll('.ragecheck-author-badge').forEach(b => b.remove());
+  }
+  if (changes.threadTemperature) {
+    threadTemperature = !!changes.threadTemperature.newValue;
+    if (threadTemperature) scheduleThreadScan();
+    else removeThreadView();
+  }
 });
 
 // --- Remote config ---
 
 let remoteEngines = {};
-chrome.storage.local.get(['selectorConfig'], (r) => {
-  if (r.selectorConfig?.engines) remoteEngines = r.selectorConfig.engines;
+let remotePlatforms = {}; // declarative overrides for PLATFORMS entries
+// The background only stores configs it verified (signature, schema, version); a config
+// cached before signing existed stays in use until the first verified one replaces it
+const remoteConfigReady = chrome.storage.local.get(['selectorConfig']).then((r) => {
+  remoteEngines = r.selectorConfig?.engines || {};
+  remotePlatforms = r.selectorConfig?.platforms || {};
 });
 chrome.storage.onChanged.addListener((changes) => {
-  if (changes.selectorConfig?.newValue?.engines) remoteEngines = changes.selectorConfig.newValue.engines;
+  if (!changes.selectorConfig) return;
+  const config = changes.selectorConfig.newValue;
+  remoteEngines = config?.engines || {};
+  remotePlatforms = config?.platforms || {};
+});
+
+// --- User-built adapters (selector picker) ---
+
+let customAdapters = {}; // id -> { name, host, detect, postSelector, contentSelector, actionBarSelector }
+const customAdaptersReady = chrome.storage.sync.get(['customAdapters']).then((r) => {
+  customAdapters = r.customAdapters || {};
+});
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.customAdapters) customAdapters = changes.customAdapters.newValue || {};
 });
 
 // ============================================================
@@ -49,6 +112,8 @@ const PLATFORMS = {
     host: ['twitter.com', 'x.com'],
     postSelector: 'article[data-testid="tweet"]',
     actionBarSelector: '[role="group"]:last-of-type',
+    authorSelector: '[data-testid="User-Name"] a[href^="/"]',
+    getAuthorName: (el) => el.getAttribute('href').slice(1),
     getPostUrl: (post) => {
       const timeLink = post.querySelector('a[href*="/status/"]');
       return timeLink ? timeLink.href : null;
@@ -56,12 +121,36 @@ const PLATFORMS = {
     getPostText: (post) => {
       const tweetText = post.querySelector('[data-testid="tweetText"]');
       return tweetText ? tweetText.innerText.trim() : '';
+    },
+    getContext: (post) => {
+      // A quote tweet renders the quoted tweet's text as a second tweetText inside the article
+      const texts = post.querySelectorAll('[data-testid="tweetText"]');
+      const replyingTo = [...post.querySelectorAll('div')].find(d => d.childElementCount > 0 &&
+        d.firstChild?.textContent === 'Replying to ');
+      // On a conversation page the parent is the article just above this one
+      const cell = post.closest('[data-testid="cellInnerDiv"]');
+      const parent = cell?.previousElementSibling?.querySelector('article[data-testid="tweet"]');
+      return {
+        quoted: texts.length > 1 ? texts[1].innerText.trim() : null,
+        replyTo: replyingTo || parent ? {
+          author: replyingTo?.querySelector('a')?.textContent?.replace(/^@/, '') ||
+            parent?.querySelector('[data-testid="User-Name"] a[href^="/"]')?.getAttribute('href')?.slice(1),
+          text: parent?.querySelector('[data-testid="tweetText"]')?.innerText.trim() || null
+        } : null,
+        linkCards: [...post.querySelectorAll('[data-testid="card.wrapper"]')].map(card => ({
+          url: card.querySelector('a[href]')?.href || null,
+          title: card.innerText.trim()
+        })),
+        altText: [...post.querySelectorAll('[data-testid="tweetPhoto"] img[alt]')].map(img => img.alt)
+      };
     }
   },
   bluesky: {
     host: ['bsky.app'],
     postSelector: null,
     actionBarSelector: null,
+    authorSelector: 'a[href^="/profile/"]',
+    getAuthorName: (el) => el.getAttribute('href').split('/')[2],
     getPostUrl: (post) => {
       const links = post.querySelectorAll('a[href*="/post/"]');
       for (const link of links) {
@@ -82,6 +171,13 @@ const PLATFORMS = {
       });
       return texts.join('\n').trim();
     },
+    getContext: (post) => ({
+      // Quote posts embed the quoted post as a nested link to another /post/
+      quoted: post.querySelector('[role="link"][aria-label*="Post by"], [data-testid="contentHider-embed"]')?.innerText.trim() || null,
+      linkCards: [...post.querySelectorAll('a[href^="http"][role="link"]')]
+        .filter(a => !a.href.includes('bsky.app'))
+        .map(a => ({ url: a.href, title: a.innerText.trim() }))
+    }),
     findPosts: () => {
       const posts = [];
       document.querySelectorAll('a[href*="/post/"]').forEach(link => {
@@ -108,6 +204,7 @@ const PLATFORMS = {
     host: ['www.facebook.com'],
     postSelector: '[data-pagelet*="FeedUnit"], [role="article"]',
     actionBarSelector: '[role="button"]',
+    authorSelector: '[data-ad-rendering-role="profile_name"] a, h2 a, h3 a, strong a',
     getPostUrl: (post) => {
       const link = post.querySelector('a[href*="/posts/"], a[href*="permalink"]');
       return link ? link.href : null;
@@ -122,12 +219,19 @@ const PLATFORMS = {
         if (t.length > best.length) best = t;
       });
       return best;
-    }
+    },
+    getContext: (post) => ({
+      linkCards: [...post.querySelectorAll('a[href*="l.facebook.com"]')]
+        .filter(a => a.innerText.trim())
+        .map(a => ({ url: a.href, title: a.innerText.trim() }))
+    })
   },
   reddit: {
     host: ['www.reddit.com'],
     postSelector: 'shreddit-post, [data-testid="post-container"]',
     actionBarSelector: '[slot="post-actions"], [data-testid="post-bottom-bar"]',
+    authorSelector: 'a[href^="/user/"]',
+    getAuthorName: (el) => el.getAttribute('href').split('/')[2],
     getPostUrl: (post) => {
       const link = post.querySelector('a[href*="/comments/"]');
       return link ? link.href : window.location.href;
@@ -137,12 +241,23 @@ const PLATFORMS = {
       const title = post.getAttribute('post-title') || post.querySelector('h1, [slot="title"]')?.innerText || '';
       const body = post.querySelector('[slot="text-body"], [data-testid="post-content"], .md')?.innerText || '';
       return (title + '\n' + body).trim();
+    },
+    getContext: (post) => {
+      // Link posts point off-site; the headline is the post title
+      const href = post.getAttribute('content-href');
+      const external = href && !/reddit\.com|redd\.it/.test(href);
+      return {
+        linkCards: external ? [{ url: href, title: post.getAttribute('post-title') || '', domain: post.getAttribute('domain') }] : [],
+        quoted: post.querySelector('[slot="text-body"] blockquote, .md blockquote')?.innerText.trim() || null
+      };
     }
   },
   threads: {
     host: ['www.threads.net'],
     postSelector: '[data-pressable-container="true"]',
     actionBarSelector: '[role="button"]',
+    authorSelector: 'a[href^="/@"]',
+    getAuthorName: (el) => el.getAttribute('href').slice(2).split('/')[0],
     getPostUrl: (post) => {
       const link = post.querySelector('a[href*="/post/"]');
       return link ? 'https://www.threads.net' + link.getAttribute('href') : null;
@@ -150,12 +265,13 @@ const PLATFORMS = {
     getPostText: (post) => {
       const textEl = post.querySelector('[dir="auto"]');
       return textEl ? textEl.innerText.trim() : '';
-    }
+    },
   },
   hackernews: {
     host: ['news.ycombinator.com'],
     postSelector: '.athing.comtr',
     actionBarSelector: '.reply',
+    authorSelector: '.hnuser',
     getPostUrl: (post) => {
       const id = post.getAttribute('id');
       return id ? `https://news.ycombinator.com/item?id=${id}` : null;
@@ -164,6 +280,21 @@ const PLATFORMS = {
       const commText = post.querySelector('.commtext');
       return commText ? commText.innerText.trim() : '';
     },
+    getContext: (post) => {
+      // HN quotes are lines starting with ">"; the parent link is an in-page anchor
+      const quoted = (post.querySelector('.commtext')?.innerText || '')
+        .split('\n').filter(line => line.trim().startsWith('>')).join('\n') || null;
+      const parentId = post.querySelector('.navs a[href^="#"]')?.getAttribute('href')?.slice(1);
+      const parent = parentId ? document.getElementById(parentId) : null;
+      const story = document.querySelector('.fatitem .titleline a');
+      return {
+        quoted,
+        replyTo: parent
+          ? { author: parent.querySelector('.hnuser')?.innerText.trim(), text: parent.querySelector('.commtext')?.innerText.trim() || null }
+          : story ? { author: null, text: story.innerText.trim() } : null,
+        linkCards: story ? [{ url: story.href, title: story.innerText.trim() }] : []
+      };
+    },
     findPosts: () => {
       return document.querySelectorAll('.athing.comtr');
     }
@@ -172,17 +303,26 @@ const PLATFORMS = {
     host: ['www.youtube.com'],
     postSelector: 'ytd-comment-thread-renderer',
     actionBarSelector: '#action-buttons',
+    authorSelector: '#author-text',
+    getAuthorName: (el) => el.innerText.trim().replace(/^@/, ''),
     getPostUrl: () => window.location.href,
     getPostText: (post) => {
       const content = post.querySelector('#content-text');
       return content ? content.innerText.trim() : '';
     },
+    getContext: (post) => ({
+      // Comments are replies to the video itself
+      replyTo: { author: document.querySelector('ytd-channel-name#channel-name a')?.innerText.trim() || null,
+        text: document.querySelector('h1.ytd-watch-metadata, #title h1')?.innerText.trim() || null }
+    }),
     findPosts: () => document.querySelectorAll('ytd-comment-thread-renderer')
   },
   stackoverflow: {
     host: ['stackoverflow.com', 'stackexchange.com'],
     postSelector: '.answer, .question',
     actionBarSelector: '.js-post-menu',
+    // An edited post also carries the editor's signature; the owner's is marked or last
+    authorSelector: '.post-signature.owner .user-details a, .post-signature:last-child .user-details a',
     getPostUrl: (post) => {
       const link = post.querySelector('.js-share-link, a[href*="/a/"], a[href*="/q/"]');
       return link ? link.href : window.location.href;
@@ -190,10 +330,114 @@ const PLATFORMS = {
     getPostText: (post) => {
       const body = post.querySelector('.js-post-body, .postcell .post-text');
       return body ? body.innerText.trim() : '';
-    }
+    },
+    getContext: (post) => ({
+      // Answers reply to the question
+      replyTo: post.classList.contains('answer')
+        ? { author: null, text: document.querySelector('#question-header h1')?.innerText.trim() || null }
+        : null
+    })
   }
 };
 
+// ============================================================
+// Remote platform overrides
+// ============================================================
+
+// Builds a platform config from the bundled one plus a remote override of the form
+// { postSelector, textSelector, urlSelector, urlPattern, actionBarSelector }.
+// Each field replaces only the matching bundled extractor; the rest stay bundled.
+function applyPlatformOverride(bundled, override) {
+  if (!override) return bundled;
+  const config = { ...bundled, override };
+
+  if (override.postSelector) {
+    config.postSelector = override.postSelector;
+    config.findPosts = () => {
+      try {
+        return document.querySelectorAll(override.postSelector);
+      } catch (e) {
+        return [];
+      }
+    };
+  }
+
+  if (override.textSelector) {
+    config.getPostText = (post) => {
+      let els = [];
+      try {
+        els = [...post.querySelectorAll(override.textSelector)];
+      } catch (e) {
+        // invalid selector: fall through to the bundled extractor
+      }
+      const text = els.map(el => el.innerText.trim()).filter(Boolean).join('\n');
+      return text || (bundled.getPostText ? bundled.getPostText(post) : '');
+    };
+  }
+
+  if (override.urlSelector) {
+    let pattern = null;
+    try {
+      pattern = override.urlPattern ? new RegExp(override.urlPattern) : null;
+    } catch (e) {
+      // validated by the background; match without the pattern if it still fails here
+    }
+    config.getPostUrl = (post) => {
+      let links = [];
+      try {
+        links = [...post.querySelectorAll(override.urlSelector)];
+      } catch (e) {
+        // invalid selector
+      }
+      const link = links.find(a => a.href && (!pattern || pattern.test(a.href)));
+      return link ? link.href : bundled.getPostUrl(post);
+    };
+  }
+
+  if (override.actionBarSelector) config.actionBarSelector = override.actionBarSelector;
+
+  return config;
+}
+
+function countPlatformPosts(config) {
+  let posts = [];
+  try {
+    if (config.findPosts) posts = [...config.findPosts()];
+    else if (config.postSelector) posts = [...document.querySelectorAll(config.postSelector)];
+  } catch (e) {
+    posts = [];
+  }
+  return {
+    posts: posts.length,
+    withText: posts.filter(p => getPostText(p, config)).length,
+    withUrl: posts.filter(p => config.getPostUrl(p)).length
+  };
+}
+
+// Once per page: run both extractors over the same DOM and report which found more,
+// so a bad override (or a bundled extractor that has rotted) shows up in diagnostics
+const OVERRIDE_COMPARE_DELAY = 5000; // let the feed render first
+let overrideCompared = false;
+function compareOverrideExtractors() {
+  if (overrideCompared || !telemetryEnabled || !currentPlatform?.override) return;
+  overrideCompared = true;
+
+  const override = countPlatformPosts(currentPlatform);
+  const bundled = countPlatformPosts({ name: currentPlatform.name, ...PLATFORMS[currentPlatform.name] });
+  const winner = override.withText > bundled.withText ? 'override'
+    : bundled.withText > override.withText ? 'bundled' : 'tie';
+
+  chrome.runtime.sendMessage({
+    type: 'diagnostic',
+    domain: window.location.hostname,
+    engine: currentPlatform.name,
+    outcome: 'override-compare',
+    selector: Object.keys(currentPlatform.override).join(','),
+    comparison: { override, bundled, winner },
+    timestamp: Date.now()
+  });
+}
+
 // ============================================================
 // TIER 1: Forum engines (detected by fingerprint)
 // ============================================================
@@ -296,13 +540,84 @@ const FORUM_ENGINES = {
   },
   disqus: {
     detect: () => !!document.querySelector('#disqus_thread iframe'),
-    // Disqus runs in an iframe — we can detect it but can't inject into it directly
-    // We mark the page as having Disqus and let the user know via popup
+    // The comments live in Disqus's own frame, where EMBED_ENGINES.disqus takes over.
+    // Up here there is nothing to inject into; detecting it lets the popup say so.
     postSelector: null,
-    note: 'Disqus comments run in a cross-origin iframe and cannot be directly injected into.'
+    note: 'Disqus comments run in a cross-origin iframe. Turn on Disqus under comment widgets in Options to check them there.'
   }
 };
 
+// ============================================================
+// TIER 1: Embedded comment widgets (run inside the widget's own frame)
+// ============================================================
+
+// These content scripts are registered by the background with allFrames once the user
+// enables a widget and grants its host, so this copy of content.js is running in the
+// widget's iframe, not on the article. Matched only when window !== top.
+const EMBED_URL_PARAMS = ['t_u', 'url', 'href', 'origin']; // Disqus, utterances, Facebook, giscus
+
+// The article the widget is embedded in, from the frame's own query string
+function embedPageUrl() {
+  const params = new URLSearchParams(window.location.search);
+  for (const name of EMBED_URL_PARAMS) {
+    const value = params.get(name);
+    if (value && /^https?:\/\//.test(value)) return value;
+  }
+  return null;
+}
+
+// A comment's own permalink when the widget renders one, else the article
+function embedPostUrl(post, linkSelector) {
+  const link = linkSelector ? safeQuerySelector(post, linkSelector) : null;
+  return link?.href || embedPageUrl() || window.location.href;
+}
+
+const EMBED_ENGINES = {
+  disqus: {
+    frame: () => window.location.hostname === 'disqus.com' && window.location.pathname.startsWith('/embed/comments'),
+    // Replies nest inside their parent's li.post; first-match selectors find the parent's own parts
+    postSelector: 'li.post',
+    contentSelector: '.post-message',
+    authorSelector: '.post-byline .author',
+    actionBarSelector: '.comment-footer__menu, footer menu',
+    getPostUrl: (post) => embedPostUrl(post, 'a.time-ago, .post-meta a[href*="#comment-"]'),
+    observeTarget: '#posts'
+  },
+  giscus: {
+    frame: () => window.location.hostname === 'giscus.app',
+    postSelector: '.gsc-comment, .gsc-reply',
+    contentSelector: '.gsc-comment-content, .gsc-reply-content',
+    authorSelector: '.gsc-comment-author a, .gsc-reply-author a',
+    actionBarSelector: '.gsc-comment-footer, .gsc-reply-footer',
+    getPostUrl: (post) => embedPostUrl(post, 'a[href*="#discussioncomment-"]')
+  },
+  utterances: {
+    frame: () => window.location.hostname === 'utteranc.es',
+    postSelector: 'article.timeline-comment',
+    contentSelector: '.comment-body',
+    authorSelector: '.comment-meta strong',
+    actionBarSelector: '.comment-footer',
+    getPostUrl: (post) => embedPostUrl(post, '.comment-meta a[href*="#issuecomment-"]')
+  },
+  facebookComments: {
+    frame: () => window.location.hostname === 'www.facebook.com' && /\/plugins\/comments\.php/.test(window.location.pathname),
+    // The plugin's class names are generated; roles and dir attributes outlive them
+    postSelector: '[role="article"]',
+    contentSelector: '[dir="auto"]',
+    authorSelector: 'a[href*="facebook.com/"][target="_blank"]',
+    actionBarSelector: null,
+    getPostUrl: (post) => embedPostUrl(post, 'a[href*="comment_id="]')
+  }
+};
+
+function detectEmbed() {
+  if (window === window.top) return null;
+  for (const [name, config] of Object.entries(EMBED_ENGINES)) {
+    if (config.frame()) return { name, ...config, embed: true };
+  }
+  return null;
+}
+
 // ============================================================
 // TIER 1.5: Schema.org DiscussionForumPosting detection
 // ============================================================
@@ -436,177 +751,265 @@ function genericDetectPosts() {
 // ============================================================
 
 const processedPosts = new WeakSet();
+const buttonPosts = new WeakMap(); // CheckButton -> its post element
 
-let requestCount = 0;
-let requestResetTime = Date.now();
-const MAX_REQUESTS_PER_MINUTE = 20;
-
-function checkRateLimit() {
-  const now = Date.now();
-  if (now - requestResetTime > 60000) {
-    requestCount = 0;
-    requestResetTime = now;
-  }
-  if (requestCount >= MAX_REQUESTS_PER_MINUTE) return false;
-  requestCount++;
-  return true;
-}
-
-const SIGNAL_LABELS = {
-  arousal: 'Emotional Arousal',
-  enemy: 'Enemy Construction',
-  moral: 'Moral Outrage',
-  urgency: 'False Urgency',
-  tribal: 'Tribal Signaling'
-};
+const SIGNAL_LABELS = RageUI.SIGNAL_LABELS;
 
-function createCheckButton(postUrl, postText, isBeta) {
-  const btn = document.createElement('button');
-  btn.className = 'ragecheck-btn ragecheck-enter' + (isBeta ? ' ragecheck-beta' : '');
-  btn.innerHTML = `
-    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-      <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2z"/>
-      <path d="M12 6v6l4 2"/>
-    </svg>
-    <span class="ragecheck-label">Check</span>
-    ${isBeta ? '<span class="ragecheck-beta-tag">beta</span>' : ''}
-  `;
-
-  btn.onclick = async (e) => {
-    e.preventDefault();
-    e.stopPropagation();
+// getContext is called at click time: reply parents and link cards often render late
+function createCheckButton(postUrl, postText, isBeta, getContext, theme) {
+  const check = new RageUI.CheckButton({ beta: isBeta, theme });
 
-    if (btn.classList.contains('ragecheck-has-result')) {
-      const url = btn.dataset.postUrl;
-      window.open(`${API_BASE}?url=${encodeURIComponent(url)}`, '_blank');
+  check.onActivate(async () => {
+    if (check.state === 'result') {
+      window.open(`${API_BASE}?url=${encodeURIComponent(postUrl)}`, '_blank');
       // Report success for Tier 3
       if (isBeta) reportDiagnostic('success', postUrl);
       return;
     }
-
-    if (btn.classList.contains('ragecheck-error')) {
-      btn.classList.remove('ragecheck-error');
-      btn.querySelector('.ragecheck-label').textContent = 'Check';
-      const existingTooltip = btn.querySelector('.ragecheck-tooltip');
-      if (existingTooltip) existingTooltip.remove();
-    }
+    if (check.state === 'loading' || check.state === 'unsupported') return;
 
     if (!postUrl) {
-      showResult(btn, { error: 'Could not find post URL' }, postUrl);
+      showResult(check, { error: i18n('errorNoPostUrl') }, postUrl);
       return;
     }
 
-    if (!checkRateLimit()) {
-      showResult(btn, { error: 'Rate limited - try again in a moment' }, postUrl);
-      return;
-    }
-
-    btn.classList.add('ragecheck-loading');
-    btn.querySelector('.ragecheck-label').textContent = '...';
+    check.setLoading();
 
     try {
-      const payload = { url: postUrl, source: 'extension' };
-      if (postText) payload.text = postText;
-      const response = await fetch(`${API_BASE}/api/analyze`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (response.status === 429) {
-        showResult(btn, { error: 'Rate limited - please wait' }, postUrl);
-        btn.classList.remove('ragecheck-loading');
-        return;
+      // The service worker owns the cache and the global rate limit
+      let context = null;
+      try {
+        context = getContext ? getContext() : null;
+      } catch (e) {
+        // context is extra signal; never block a check on it
       }
+      const lang = await detectPostLanguage(buttonPosts.get(check), postText);
+      const data = await chrome.runtime.sendMessage({
+        action: 'analyze', url: postUrl, text: postText, context, lang, source: 'button',
+        platform: getSiteName()
+      });
 
-      const data = await response.json();
-      if (data.success) {
-        showResult(btn, {
+      if (data.unsupported) {
+        showResult(check, { unsupported: true, lang: data.lang || lang }, postUrl);
+      } else if (data.rateLimited) {
+        showResult(check, { error: i18n('errorRateLimited') }, postUrl);
+      } else if (data.success) {
+        showResult(check, {
           score: data.score, label: data.label,
-          reasons: data.reasons || [], signals: data.signals || {}
-        }, postUrl);
+          reasons: data.reasons || [], signals: data.signals || {}, spans: data.spans
+        }, postUrl, postText);
         if (isBeta) reportDiagnostic('success', postUrl);
+      } else if (data.offline) {
+        showResult(check, { error: i18n('errorConnectionRetry') }, postUrl);
       } else {
-        showResult(btn, { error: data.error || 'Analysis failed' }, postUrl);
+        showResult(check, { error: data.error || i18n('errorAnalysisFailed') }, postUrl);
       }
     } catch (err) {
-      showResult(btn, { error: 'Connection failed - click to retry' }, postUrl);
+      showResult(check, { error: i18n('errorConnectionRetry') }, postUrl);
     }
+  });
 
-    btn.classList.remove('ragecheck-loading');
-  };
-
-  return btn;
+  return check;
 }
 
-function showResult(btn, result, postUrl) {
-  const label = btn.querySelector('.ragecheck-label');
-
+function showResult(check, result, postUrl, postText) {
   if (result.error) {
-    label.textContent = 'Error';
-    btn.classList.add('ragecheck-error');
-    btn.title = result.error;
+    check.setError(result.error);
     return;
   }
 
-  const score = result.score;
-  label.textContent = score;
-  btn.classList.remove('ragecheck-error');
+  if (result.unsupported) {
+    check.setUnsupported(result.lang);
+    buttonPosts.get(check)?.classList.remove('ragecheck-pending');
+    return;
+  }
 
-  let levelText, levelDesc;
-  if (score >= 66) {
-    btn.classList.add('ragecheck-high');
-    levelText = 'High Rage';
-    levelDesc = 'Likely designed to provoke anger';
-  } else if (score >= 33) {
-    btn.classList.add('ragecheck-medium');
-    levelText = 'Medium Rage';
-    levelDesc = 'Some emotional manipulation detected';
-  } else {
-    btn.classList.add('ragecheck-low');
-    levelText = 'Low Rage';
-    levelDesc = 'Appears relatively balanced';
-  }
-
-  let tooltipHTML = `
-    <div class="ragecheck-tooltip-score">${score}/100</div>
-    <div class="ragecheck-tooltip-label">${levelText} - ${levelDesc}</div>
-  `;
-
-  if (result.signals && Object.keys(result.signals).length > 0) {
-    tooltipHTML += '<div class="ragecheck-tooltip-signals">';
-    for (const [key, value] of Object.entries(result.signals)) {
-      const signalLabel = SIGNAL_LABELS[key] || key;
-      tooltipHTML += `
-        <div class="ragecheck-signal">
-          <span class="ragecheck-signal-name">${signalLabel}</span>
-          <div class="ragecheck-signal-bar">
-            <div class="ragecheck-signal-fill" style="width:${value}%"></div>
-          </div>
-        </div>
-      `;
-    }
-    tooltipHTML += '</div>';
-  }
-
-  if (result.reasons?.length > 0) {
-    tooltipHTML += '<div class="ragecheck-tooltip-reasons">';
-    result.reasons.slice(0, 2).forEach(r => {
-      tooltipHTML += `<div class="ragecheck-tooltip-reason">${r}</div>`;
-    });
-    tooltipHTML += '</div>';
+  check.setResult(result);
+
+  const post = buttonPosts.get(check);
+  if (post && HIGHLIGHT_SUPPORTED && result.spans?.length > 0) {
+    addHighlightToggle(check, post, result.spans, postUrl);
   }
+  addShareActions(check, { ...result, excerpt: postText, url: postUrl });
+  addFeedbackActions(check, postUrl, postText);
+
+  // A full analysis is authoritative: it can shield a post the dot missed, or release one
+  if (post) shieldPost(post, result, true);
+}
+
+function addHighlightToggle(check, post, spans, postUrl) {
+  const update = check.addToggle(
+    (on) => i18n(on ? 'highlightHide' : 'highlightShow'),
+    (on) => {
+      setHighlights(post, spans, postUrl, on);
+      return highlightedPosts.has(post);
+    }
+  );
+  // Turned on earlier for this post, before the site re-created its element
+  if (highlightedUrls.has(postUrl)) setHighlights(post, spans, postUrl, true);
+  update(highlightedPosts.has(post));
+}
+
+// Ratings go to the background's feedback outbox; the first reply's id lets the
+// "too high / too low" follow-up amend the same sample
+function addFeedbackActions(check, postUrl, postText) {
+  let sampleId = null;
+  let sending = Promise.resolve(); // a quick follow-up waits for the first id
+  check.addFeedback((feedback) => {
+    sending = sending.then(async () => {
+      const { id } = await chrome.runtime.sendMessage({
+        action: 'feedback', id: sampleId, url: postUrl, text: postText, platform: getSiteName(), ...feedback
+      });
+      sampleId = id;
+    }).catch(() => { /* extension reloaded, skip */ });
+  });
+}
 
-  tooltipHTML += '<div class="ragecheck-tooltip-cta">Click for full analysis</div>';
+// Share card: drawn by the service worker (OffscreenCanvas), handed back as a data URL
+function addShareActions(check, card) {
+  check.addActions([
+    { label: i18n('shareCopyCard'), onClick: (btn) => copyShareCard(btn, card) },
+    { label: i18n('shareDownloadCard'), onClick: (btn) => downloadShareCard(btn, card) }
+  ]);
+}
 
-  const tooltip = document.createElement('div');
-  tooltip.className = 'ragecheck-tooltip';
-  tooltip.innerHTML = tooltipHTML;
-  btn.appendChild(tooltip);
+async function fetchShareCard(card) {
+  const { dataUrl, filename, error } = await chrome.runtime.sendMessage({ action: 'render-share-card', card });
+  if (error || !dataUrl) throw new Error(error || 'render failed');
+  return { dataUrl, filename };
+}
 
-  btn.classList.add('ragecheck-has-result');
-  btn.dataset.postUrl = postUrl;
-  btn.title = '';
+function flashAction(btn, key) {
+  const original = btn.textContent;
+  btn.textContent = i18n(key);
+  setTimeout(() => { btn.textContent = original; }, 1500);
+}
+
+async function copyShareCard(btn, card) {
+  // The blob is a promise so the click's user activation still counts when it resolves
+  const blob = fetchShareCard(card).then(({ dataUrl }) => {
+    const bytes = Uint8Array.from(atob(dataUrl.split(',')[1]), c => c.charCodeAt(0));
+    return new Blob([bytes], { type: 'image/png' });
+  });
+  try {
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+    flashAction(btn, 'shareCopied');
+  } catch (e) {
+    flashAction(btn, 'shareCopyFailed');
+  }
+}
+
+async function downloadShareCard(btn, card) {
+  try {
+    const { dataUrl, filename } = await fetchShareCard(card);
+    const a = document.createElement('a');
+    a.href = dataUrl;
+    a.download = filename;
+    a.click();
+  } catch (e) {
+    flashAction(btn, 'shareFailed');
+  }
+}
+
+// ============================================================
+// Phrase highlights: color the words that drove each signal
+// ============================================================
+
+// Uses the CSS Custom Highlight API: ranges are painted without touching the site's
+// DOM, so frameworks never see foreign nodes. Ranges die when the site re-renders the
+// text, so each highlighted post is watched and its ranges rebuilt from the phrases.
+const HIGHLIGHT_SUPPORTED = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+const HIGHLIGHT_SKIP = '.ragecheck-wrapper, ragecheck-check, ragecheck-dot, .ragecheck-shield-overlay, .ragecheck-author-badge, script, style, textarea';
+
+const highlightedPosts = new Map(); // post -> [{ signal, text }]
+const highlightedUrls = new Set();  // so a re-created post element gets its highlights back
+let highlightTimer = null;
+
+const highlightObserver = new MutationObserver(() => {
+  clearTimeout(highlightTimer);
+  highlightTimer = setTimeout(refreshHighlights, 150);
+});
+
+function collectTextNodes(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n) => (n.parentElement?.closest(HIGHLIGHT_SKIP) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const nodes = [];
+  let text = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.data;
+  }
+  return { nodes, text };
+}
+
+function offsetToPoint(nodes, offset) {
+  let i = nodes.length - 1;
+  while (i > 0 && nodes[i].start > offset) i--;
+  return { node: nodes[i].node, offset: offset - nodes[i].start };
+}
+
+// Every word-bounded, case-insensitive occurrence of each phrase
+function findPhraseRanges(root, phrases) {
+  const { nodes, text } = collectTextNodes(root);
+  if (nodes.length === 0) return [];
+  const haystack = text.toLowerCase().replace(/[‘’]/g, '\'');
+  const isWord = (ch) => !!ch && /\w/.test(ch);
+  const ranges = [];
+
+  for (const { signal, text: phrase } of phrases) {
+    const needle = phrase.toLowerCase().replace(/[‘’]/g, '\'');
+    for (let at = haystack.indexOf(needle); at !== -1; at = haystack.indexOf(needle, at + 1)) {
+      const end = at + needle.length;
+      if (isWord(haystack[at - 1]) || isWord(haystack[end])) continue;
+      const start = offsetToPoint(nodes, at);
+      const stop = offsetToPoint(nodes, end);
+      const range = new Range();
+      range.setStart(start.node, start.offset);
+      range.setEnd(stop.node, stop.offset);
+      ranges.push({ signal, range });
+    }
+  }
+  return ranges;
+}
+
+function refreshHighlights() {
+  const bySignal = {};
+  for (const [post, phrases] of highlightedPosts) {
+    if (!post.isConnected) {
+      highlightedPosts.delete(post);
+      continue;
+    }
+    for (const { signal, range } of findPhraseRanges(post, phrases)) {
+      (bySignal[signal] = bySignal[signal] || []).push(range);
+    }
+  }
+  for (const signal of Object.keys(SIGNAL_LABELS)) {
+    const ranges = bySignal[signal] || [];
+    if (ranges.length > 0) CSS.highlights.set(`ragecheck-${signal}`, new Highlight(...ranges));
+    else CSS.highlights.delete(`ragecheck-${signal}`);
+  }
+}
+
+function setHighlights(post, spans, postUrl, on) {
+  if (on) {
+    // Dedupe: the same phrase only needs finding once per post
+    const seen = new Set();
+    const phrases = spans.filter(s => s.text && !seen.has(`${s.signal}:${s.text.toLowerCase()}`) &&
+      seen.add(`${s.signal}:${s.text.toLowerCase()}`));
+    highlightedPosts.set(post, phrases);
+    if (postUrl) highlightedUrls.add(postUrl);
+    highlightObserver.observe(post, { childList: true, subtree: true, characterData: true });
+  } else {
+    highlightedPosts.delete(post);
+    if (postUrl) highlightedUrls.delete(postUrl);
+    // MutationObserver has no per-target unobserve: re-observe the posts still highlighted
+    highlightObserver.disconnect();
+    for (const p of highlightedPosts.keys()) {
+      highlightObserver.observe(p, { childList: true, subtree: true, characterData: true });
+    }
+  }
+  refreshHighlights();
 }
 
 // ============================================================
@@ -621,7 +1024,7 @@ function getPostText(post, config) {
   }
   // Forum engines have contentSelector
   if (config.contentSelector) {
-    const el = post.querySelector(config.contentSelector);
+    const el = safeQuerySelector(post, config.contentSelector);
     if (el) return el.innerText.trim();
   }
   // Fallback: grab innerText of the post, truncated
@@ -629,28 +1032,137 @@ function getPostText(post, config) {
   return raw.slice(0, 2000);
 }
 
+// --- Post language: sent with every score request so unsupported languages aren't scored ---
+
+// Primary subtag only ("pt-BR" -> "pt"); null when there's nothing usable
+function normalizeLanguage(tag) {
+  const primary = (tag || '').toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(primary) && primary !== 'und' ? primary : null;
+}
+
+// The detector when it's confident; otherwise the post's own lang attribute (X and Bluesky
+// tag each post), then the nearest ancestor's. Short posts rarely detect reliably.
+async function detectPostLanguage(post, text) {
+  try {
+    const { isReliable, languages } = await chrome.i18n.detectLanguage(text);
+    if (isReliable && languages.length > 0) {
+      const lang = normalizeLanguage(languages[0].language);
+      if (lang) return lang;
+    }
+  } catch (e) { /* detector unavailable; fall through */ }
+
+  const tagged = post && (post.querySelector('[lang]') || post.closest('[lang]'));
+  return normalizeLanguage(tagged?.getAttribute('lang'));
+}
+
+// --- Structured post context: { text, quoted, replyTo, linkCards, altText, author } ---
+
+const CONTEXT_MAX_CHARS = 1000;
+const CONTEXT_MAX_ITEMS = 5;
+
+function clip(text) {
+  if (!text) return null;
+  const t = text.replace(/\s+\n/g, '\n').trim();
+  return t ? t.slice(0, CONTEXT_MAX_CHARS) : null;
+}
+
+// Works on forums and scanned pages: quotes, link previews and image alt text look
+// much the same everywhere. Platform getContext() results take precedence.
+function genericPostContext(post, config) {
+  const quoted = [...post.querySelectorAll('blockquote, aside.quote, .bbCodeBlock--quote, .quote')]
+    .filter(el => !el.parentElement.closest('blockquote, aside.quote, .quote'))
+    .map(el => el.innerText.trim());
+
+  const linkCards = [...post.querySelectorAll('a[href^="http"]')]
+    .filter(a => a.querySelector('img, h1, h2, h3, h4') && a.hostname !== window.location.hostname)
+    .map(a => ({ url: a.href, title: a.innerText.trim() }));
+
+  // Skip avatars, emoji and icons: only images big enough to carry content
+  const altText = [...post.querySelectorAll('img[alt]')]
+    .filter(img => img.alt.trim().length > 3 && (img.naturalWidth || img.width) >= 64)
+    .map(img => img.alt.trim());
+
+  return {
+    quoted: quoted.join('\n\n') || null,
+    replyTo: null,
+    linkCards,
+    altText
+  };
+}
+
+function getPostContext(post, config) {
+  const generic = genericPostContext(post, config);
+  let specific = {};
+  try {
+    specific = config.getContext ? config.getContext(post) : {};
+  } catch (e) {
+    // Platform DOM changed under us; the generic layer still applies
+  }
+
+  const pick = (key) => {
+    const value = specific[key];
+    const empty = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    return empty ? generic[key] : value;
+  };
+
+  const replyTo = pick('replyTo');
+  return {
+    text: getPostText(post, config),
+    quoted: clip(pick('quoted')),
+    replyTo: replyTo && (replyTo.author || replyTo.text)
+      ? { author: replyTo.author || null, text: clip(replyTo.text) }
+      : null,
+    linkCards: (pick('linkCards') || [])
+      .filter(card => card.url || card.title)
+      .slice(0, CONTEXT_MAX_ITEMS)
+      .map(card => ({ ...card, title: clip(card.title) })),
+    altText: [...new Set(pick('altText') || [])].slice(0, CONTEXT_MAX_ITEMS).map(clip),
+    author: getPostAuthor(post, config)?.name || null
+  };
+}
+
+// { name, el } from the platform/engine authorSelector; el anchors the reputation badge
+function getPostAuthor(post, config) {
+  if (!config.authorSelector) return null;
+  const el = safeQuerySelector(post, config.authorSelector);
+  if (!el) return null;
+  let name = null;
+  try {
+    name = config.getAuthorName ? config.getAuthorName(el) : el.innerText.trim();
+  } catch (e) {
+    // markup changed; no author rather than a wrong one
+  }
+  return name ? { name, el } : null;
+}
+
 function processPost(post, config, isBeta) {
   if (processedPosts.has(post)) return;
   processedPosts.add(post);
+  knownPosts.add(post);
+
+  // Dots don't need a URL, only text
+  observeForDot(post, config);
+  queueAuthorBadge(post, config);
 
   const postUrl = config.getPostUrl ? config.getPostUrl(post) : window.location.href;
   if (!postUrl) return;
   if (post.querySelector('.ragecheck-btn')) return;
 
   const postText = getPostText(post, config);
-  const btn = createCheckButton(postUrl, postText, isBeta);
+  const check = createCheckButton(postUrl, postText, isBeta, () => getPostContext(post, config), RageUI.detectTheme(post));
+  buttonPosts.set(check, post);
 
   const wrapper = document.createElement('div');
   wrapper.className = 'ragecheck-wrapper';
-  wrapper.appendChild(btn);
+  wrapper.appendChild(check.host);
 
   // Find action bar
   let actionBar = null;
   let useFloating = !config.actionBarSelector;
 
   if (config.actionBarSelector) {
-    actionBar = post.querySelector(config.actionBarSelector);
-    if (config.name === 'twitter') {
+    actionBar = safeQuerySelector(post, config.actionBarSelector);
+    if (config.name === 'twitter' && !config.override?.actionBarSelector) {
       const groups = post.querySelectorAll('[role="group"]');
       actionBar = groups[groups.length - 1];
     }
@@ -661,7 +1173,7 @@ function processPost(post, config, isBeta) {
     wrapper.className = 'ragecheck-wrapper ragecheck-floating';
     post.style.position = post.style.position || 'relative';
     post.appendChild(wrapper);
-  } else if (config.name === 'twitter') {
+  } else if (config.name === 'twitter' && !config.override?.actionBarSelector) {
     actionBar.appendChild(wrapper);
   } else if (config.name === 'reddit') {
     actionBar.insertBefore(wrapper, actionBar.firstChild);
@@ -669,7 +1181,19 @@ function processPost(post, config, isBeta) {
     actionBar.appendChild(wrapper);
   }
 
-  if (autoCheck) btn.click();
+  if (autoCheck) {
+    check.click();
+  } else {
+    restoreCachedResult(check, postUrl, postText);
+  }
+}
+
+// Posts checked earlier (any tab, any session) show their score without a new API call
+async function restoreCachedResult(check, postUrl, postText) {
+  try {
+    const { result } = await chrome.runtime.sendMessage({ action: 'cache-lookup', url: postUrl, text: postText });
+    if (result && check.state === 'idle') showResult(check, result, postUrl, postText);
+  } catch (e) { /* extension reloaded, skip */ }
 }
 
 // ============================================================
@@ -704,19 +1228,58 @@ let currentPlatform = null;
 let currentEngine = null;
 let detectionTier = null;
 
+// User- and server-supplied selectors may be invalid; never let one throw
+function safeQuerySelector(root, selector) {
+  try {
+    return root.querySelector(selector);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Platform/engine name for history and stats; scanned sites report their hostname
+function getSiteName() {
+  return currentPlatform?.name || currentEngine?.name || window.location.hostname;
+}
+
 function detectCurrentSite() {
   const hostname = window.location.hostname;
 
+  // Tier 1: A comment widget's frame. First, because the Facebook plugin is on a PLATFORMS host.
+  const embed = detectEmbed();
+  if (embed) {
+    currentEngine = embed;
+    detectionTier = 1;
+    return currentEngine;
+  }
+
   // Tier 1: Check social platforms
   for (const [name, config] of Object.entries(PLATFORMS)) {
     if (config.host.some(h => hostname.includes(h))) {
       if (enabledPlatforms[name] === false) return null;
-      currentPlatform = { name, ...config };
+      currentPlatform = { name, ...applyPlatformOverride(config, remotePlatforms[name]) };
       detectionTier = 1;
       return currentPlatform;
     }
   }
 
+  // Tier 1: User-built adapters for this host. Deliberate and host-specific,
+  // so they win over fingerprinted engines.
+  for (const [id, adapter] of Object.entries(customAdapters)) {
+    if (adapter.host !== hostname) continue;
+    if (safeQuerySelector(document, adapter.detect || adapter.postSelector)) {
+      currentEngine = {
+        ...adapter,
+        name: adapter.name || id,
+        custom: true,
+        // Timestamps usually link to the post's permalink
+        getPostUrl: (post) => post.querySelector('a[href]:has(time)')?.href || window.location.href
+      };
+      detectionTier = 1;
+      return currentEngine;
+    }
+  }
+
   // Tier 1: Check forum engine fingerprints (bundled)
   for (const [name, config] of Object.entries(FORUM_ENGINES)) {
     if (config.detect && config.detect()) {
@@ -730,7 +1293,7 @@ function detectCurrentSite() {
   for (const [name, config] of Object.entries(remoteEngines)) {
     if (config.detect) {
       // Remote config uses CSS selector string for detect
-      if (document.querySelector(config.detect)) {
+      if (safeQuerySelector(document, config.detect)) {
         currentEngine = { name, ...config, getPostUrl: () => window.location.href };
         detectionTier = 1;
         return currentEngine;
@@ -749,12 +1312,17 @@ function processAllPosts() {
   if (config.findPosts) {
     posts = config.findPosts();
   } else if (config.postSelector) {
-    posts = document.querySelectorAll(config.postSelector);
+    try {
+      posts = document.querySelectorAll(config.postSelector);
+    } catch (e) {
+      posts = []; // invalid remote/custom selector
+    }
   } else {
     posts = [];
   }
 
   posts.forEach(post => processPost(post, config, false));
+  scheduleThreadScan();
 }
 
 // Tier 2 scanning (called by background via message)
@@ -809,6 +1377,9 @@ function runGenericScan() {
 
 // Listen for scan requests from popup/background
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Tab messages are for the page itself; a widget frame stays quiet so the top frame answers.
+  // Checked directly rather than through currentEngine, which isn't set until init() runs.
+  if (window !== window.top) return;
   if (msg.action === 'scan-page') {
     const result = runGenericScan();
     sendResponse(result);
@@ -818,49 +1389,257 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       platform: currentPlatform?.name || currentEngine?.name || null,
       hostname: window.location.hostname
     });
+  } else if (msg.action === 'start-picker') {
+    startPicker();
+    sendResponse({ ok: true });
+  } else if (msg.action === 'test-adapter') {
+    sendResponse(testAdapter(msg.adapter));
+  } else if (msg.action === 'command') {
+    handleCommand(msg);
+    sendResponse({ ok: true });
+  } else if (msg.action === 'diagnostics') {
+    sendResponse(runSiteDiagnostics());
+  } else if (msg.action === 'diagnostics-highlight') {
+    sendResponse({ count: highlightDiagnosticMatches(msg.rule) });
   }
   return true; // keep channel open for async
 });
 
 // ============================================================
-// Auto-Dots: colored indicators on every post (rule-engine only)
+// Site diagnostics: what every detector and extractor sees on this page
 // ============================================================
 
-const dotQueue = new Map();      // postEl -> { id, text }
+// Read-only: rules are run against the live DOM without injecting anything, so the
+// report can be taken on a page where nothing showed up.
+const DIAG_MAX_POSTS = 200;   // per rule; enough to judge a selector
+const DIAG_SAMPLES = 3;
+const DIAG_SAMPLE_CHARS = 160;
+
+let diagnosticMatches = new Map(); // rule id -> matched post elements, for highlighting
+
+function diagnosticSample(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > DIAG_SAMPLE_CHARS ? clean.slice(0, DIAG_SAMPLE_CHARS) + '…' : clean;
+}
+
+// Runs one platform/engine config the same way processPost would
+function inspectRule(id, config) {
+  let posts = [];
+  let error = null;
+  try {
+    if (config.findPosts) posts = [...config.findPosts()];
+    else if (config.postSelector) posts = [...document.querySelectorAll(config.postSelector)];
+  } catch (e) {
+    error = e.message;
+  }
+  const total = posts.length;
+  posts = posts.slice(0, DIAG_MAX_POSTS);
+  diagnosticMatches.set(id, posts);
+
+  const extracted = posts.map((post) => {
+    let text = '';
+    let url = null;
+    try {
+      text = getPostText(post, config);
+    } catch (e) { /* counted as no text */ }
+    try {
+      url = config.getPostUrl ? config.getPostUrl(post) : window.location.href;
+    } catch (e) { /* counted as no URL */ }
+    return {
+      text,
+      url,
+      actionBar: !!config.actionBarSelector && !!safeQuerySelector(post, config.actionBarSelector),
+      author: !!config.authorSelector && !!safeQuerySelector(post, config.authorSelector)
+    };
+  });
+
+  return {
+    id,
+    name: config.name,
+    selectors: {
+      post: config.postSelector || (config.findPosts ? '(findPosts)' : null),
+      text: config.override?.textSelector || config.contentSelector || (config.getPostText ? '(getPostText)' : null),
+      actionBar: config.actionBarSelector || null,
+      author: config.authorSelector || null
+    },
+    posts: total,
+    withText: extracted.filter(x => x.text).length,
+    withUrl: extracted.filter(x => x.url && x.url !== window.location.href).length,
+    withActionBar: extracted.filter(x => x.actionBar).length,
+    withAuthor: extracted.filter(x => x.author).length,
+    samples: extracted.slice(0, DIAG_SAMPLES).map(x => ({ text: diagnosticSample(x.text), url: x.url })),
+    error
+  };
+}
+
+function runSiteDiagnostics() {
+  const hostname = window.location.hostname;
+  diagnosticMatches = new Map();
+
+  // detectCurrentSite() records what it found; put the live state back afterwards
+  const live = [currentPlatform, currentEngine, detectionTier];
+  const detected = detectCurrentSite();
+  const detectedName = detected?.name || null;
+  [currentPlatform, currentEngine, detectionTier] = live;
+
+  const rules = [];
+  for (const [name, config] of Object.entries(PLATFORMS)) {
+    const rule = inspectRule(`platform:${name}`, { name, ...applyPlatformOverride(config, remotePlatforms[name]) });
+    rule.kind = 'platform';
+    rule.matched = config.host.some(h => hostname.includes(h));
+    rule.disabled = enabledPlatforms[name] === false;
+    rule.overridden = !!remotePlatforms[name];
+    rules.push(rule);
+  }
+  for (const [id, adapter] of Object.entries(customAdapters)) {
+    if (adapter.host !== hostname) continue;
+    const rule = inspectRule(`custom:${id}`, {
+      ...adapter,
+      name: adapter.name || id,
+      getPostUrl: (post) => post.querySelector('a[href]:has(time)')?.href || window.location.href
+    });
+    rule.kind = 'custom';
+    rule.matched = !!safeQuerySelector(document, adapter.detect || adapter.postSelector);
+    rules.push(rule);
+  }
+  for (const [name, config] of Object.entries(FORUM_ENGINES)) {
+    const rule = inspectRule(`engine:${name}`, { name, ...config });
+    rule.kind = 'engine';
+    try {
+      rule.matched = !!config.detect?.();
+    } catch (e) {
+      rule.matched = false;
+      rule.error = rule.error || e.message;
+    }
+    if (config.note) rule.note = config.note;
+    rules.push(rule);
+  }
+  for (const [name, config] of Object.entries(remoteEngines)) {
+    const rule = inspectRule(`remote:${name}`, { name, ...config, getPostUrl: () => window.location.href });
+    rule.kind = 'remote';
+    rule.matched = !!config.detect && !!safeQuerySelector(document, config.detect);
+    rules.push(rule);
+  }
+  for (const rule of rules) rule.active = rule.name === detectedName && rule.matched;
+
+  const schemaPosts = detectSchemaOrgPosts();
+  const microdata = schemaPosts.filter(p => p.type === 'microdata' && p.element).map(p => p.element);
+  diagnosticMatches.set('schema-org', microdata.slice(0, DIAG_MAX_POSTS));
+  const schemaOrg = {
+    jsonld: schemaPosts.filter(p => p.type === 'jsonld').length,
+    microdata: microdata.length,
+    samples: schemaPosts.slice(0, DIAG_SAMPLES).map(p => ({
+      text: diagnosticSample(p.element ? p.element.innerText : (p.data?.text || p.data?.articleBody || '')),
+      url: p.element ? (p.element.querySelector('a[href]')?.href || null) : (p.data?.url || null)
+    }))
+  };
+
+  const heuristic = genericDetectPosts();
+  diagnosticMatches.set('generic', heuristic.posts.slice(0, DIAG_MAX_POSTS));
+  const generic = {
+    confidence: heuristic.confidence,
+    signature: heuristic.selector,
+    posts: heuristic.posts.length,
+    samples: heuristic.posts.slice(0, DIAG_SAMPLES).map(post => ({
+      text: diagnosticSample(post.innerText),
+      url: post.querySelector('a[href]')?.href || null
+    }))
+  };
+
+  return {
+    url: window.location.href,
+    hostname,
+    tier: detectionTier,
+    active: currentPlatform?.name || currentEngine?.name || null,
+    detected: detectedName,
+    injected: document.querySelectorAll('.ragecheck-btn').length,
+    dots: document.querySelectorAll('.ragecheck-dot').length,
+    rules,
+    schemaOrg,
+    generic
+  };
+}
+
+// Outlines the posts one rule matched; no rule (or an unknown one) clears the outlines
+function highlightDiagnosticMatches(ruleId) {
+  document.querySelectorAll('.ragecheck-diag-match').forEach(el => el.classList.remove('ragecheck-diag-match'));
+  const posts = diagnosticMatches.get(ruleId) || [];
+  posts.forEach(post => post.classList.add('ragecheck-diag-match'));
+  posts[0]?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  return posts.length;
+}
+
+// ============================================================
+// Auto-Dots: colored indicators on every post (local scorer, no network)
+// ============================================================
+
+// Posts are scored only as they approach the viewport, nearest first.
+const DOT_NEAR_MARGIN = '800px 0px';  // start scoring this far above/below the viewport
+const DOT_FAR_DISTANCE = 3000;        // px; queued posts scrolled further away are dropped
+const DOT_TARGET_BATCH_MS = 150;      // size batches so each one returns in about this long
+const DOT_MIN_BATCH = 2;
+const DOT_MAX_BATCH = 25;
+const DOT_RETRY_DELAY = 2000;         // ms before re-sending a batch the worker didn't answer
+
+const dotQueue = new Map();      // postEl -> { id, url, text, author }; lang is added at flush
 const dotScored = new WeakSet();  // posts that already have dots
+const dotConfigs = new WeakMap(); // postEl -> platform/engine config, for text extraction
+const dotWatched = new Set();     // observed posts, so re-enabling autoDots can re-check them
 let dotBatchTimer = null;
 let dotIdCounter = 0;
+let dotBatchSize = 8;
+let dotFlushing = false;
 
-function getDotColor(score) {
-  if (score >= 50) return 'red';
-  if (score >= 10) return 'yellow';
-  return 'green';
+const dotObserver = new IntersectionObserver((entries) => {
+  for (const entry of entries) {
+    if (entry.isIntersecting) queuePostForDot(entry.target, dotConfigs.get(entry.target));
+  }
+}, { rootMargin: DOT_NEAR_MARGIN });
+
+function observeForDot(post, config) {
+  if (dotScored.has(post)) return;
+  dotConfigs.set(post, config);
+  dotWatched.add(post);
+  dotObserver.observe(post);
 }
 
-function createDot(score) {
-  const dot = document.createElement('div');
-  const color = getDotColor(score);
-  dot.className = `ragecheck-dot ragecheck-dot-${color}`;
-  dot.setAttribute('data-score', score);
+function stopObservingDot(post) {
+  dotObserver.unobserve(post);
+  dotWatched.delete(post);
+}
 
-  // Tooltip on hover
-  const tooltip = document.createElement('span');
-  tooltip.className = 'ragecheck-dot-tip';
-  const label = score >= 50 ? 'Rage bait' : score >= 10 ? 'Borderline' : 'Clean';
-  tooltip.textContent = `${score} — ${label}`;
-  dot.appendChild(tooltip);
+// autoDots toggled on: IntersectionObserver only fires on change, so re-observe
+function refreshDotObservations() {
+  for (const post of dotWatched) {
+    if (!post.isConnected) {
+      dotWatched.delete(post);
+      continue;
+    }
+    dotObserver.unobserve(post);
+    dotObserver.observe(post);
+  }
+}
 
-  return dot;
+// 0 inside the viewport, otherwise px to the nearest viewport edge
+function viewportDistance(el) {
+  const rect = el.getBoundingClientRect();
+  if (rect.bottom < 0) return -rect.bottom;
+  if (rect.top > window.innerHeight) return rect.top - window.innerHeight;
+  return 0;
 }
 
-function placeDot(post, score) {
+function placeDot(post, result) {
   if (post.querySelector('.ragecheck-dot')) return;
 
   // Only show dots for borderline (yellow) and rage bait (red)
-  // No dot = clean — dots are warnings, not noise
-  if (score < 10) return;
+  // No dot = clean — dots are warnings, not noise. Unscored languages get a gray dot
+  // so their missing dot isn't read as "clean".
+  if (!result.unsupported && result.score < 10) return;
 
-  const dot = createDot(score);
+  const theme = RageUI.detectTheme(post);
+  const dot = result.unsupported
+    ? RageUI.createUnsupportedDot(result.lang, { theme })
+    : RageUI.createDot(result.score, { theme });
 
   // Place next to the existing Check button if present
   const wrapper = post.querySelector('.ragecheck-wrapper');
@@ -876,73 +1655,882 @@ function placeDot(post, score) {
 }
 
 function queuePostForDot(post, config) {
-  if (!autoDots || dotScored.has(post) || dotQueue.has(post)) return;
+  if (!autoDots || !config || dotScored.has(post) || dotQueue.has(post)) return;
 
   const text = getPostText(post, config);
   if (!text || text.length < 15) return; // skip trivially short posts
 
   const id = `dot-${dotIdCounter++}`;
-  dotQueue.set(post, { id, text: text.slice(0, 2000) });
+  markShieldPending(post);
+  const url = config.getPostUrl ? config.getPostUrl(post) : window.location.href;
+  const author = getPostAuthor(post, config)?.name;
+  dotQueue.set(post, { id, url, text, author }); // full text: the cache key must match the Check button's
+
+  // Short debounce: collect whatever a scroll frame brought into range
+  if (!dotFlushing) {
+    clearTimeout(dotBatchTimer);
+    dotBatchTimer = setTimeout(flushDotBatch, 50);
+  }
+}
+
+// Drop queued work for posts that were removed or scrolled far away, then
+// take the posts nearest the viewport first.
+function takeDotBatch() {
+  const ranked = [];
+  for (const [post, item] of dotQueue) {
+    const distance = post.isConnected ? viewportDistance(post) : Infinity;
+    if (distance > DOT_FAR_DISTANCE) {
+      dotQueue.delete(post); // still observed — re-queued if it comes back into range
+      continue;
+    }
+    ranked.push({ post, item, distance });
+  }
 
-  // Debounce: flush batch after 300ms of no new posts
-  clearTimeout(dotBatchTimer);
-  dotBatchTimer = setTimeout(flushDotBatch, 300);
+  ranked.sort((a, b) => a.distance - b.distance);
+  return ranked.slice(0, dotBatchSize);
+}
+
+// Aim for DOT_TARGET_BATCH_MS per round trip whatever the scorer (model or rules) costs
+function adaptDotBatchSize(elapsed, count) {
+  const perPost = Math.max(elapsed / count, 1);
+  const ideal = Math.round(DOT_TARGET_BATCH_MS / perPost);
+  const next = Math.round(dotBatchSize * 0.5 + ideal * 0.5);
+  dotBatchSize = Math.min(DOT_MAX_BATCH, Math.max(DOT_MIN_BATCH, next));
 }
 
 async function flushDotBatch() {
-  if (dotQueue.size === 0) return;
+  if (dotFlushing || dotQueue.size === 0) return;
+  dotFlushing = true;
+  let retry = false;
 
-  // Grab current batch (up to 25)
+  const ranked = takeDotBatch();
   const batch = [];
   const postMap = new Map(); // id -> postEl
-  for (const [post, item] of dotQueue) {
+  for (const { post, item } of ranked) {
     batch.push(item);
     postMap.set(item.id, post);
-    if (batch.length >= 25) break;
+    dotQueue.delete(post);
   }
 
-  // Clear queued items we're about to send
-  for (const item of batch) {
-    for (const [post, qi] of dotQueue) {
-      if (qi.id === item.id) {
-        dotQueue.delete(post);
-        dotScored.add(post);
-        break;
+  if (batch.length > 0) {
+    const started = performance.now();
+    try {
+      await Promise.all(batch.map(async (item) => {
+        item.lang = await detectPostLanguage(postMap.get(item.id), item.text);
+      }));
+      const data = await chrome.runtime.sendMessage({ action: 'score', items: batch, platform: getSiteName() });
+      if (data?.error) throw new Error(data.error);
+
+      for (const result of (data?.results || [])) {
+        const post = postMap.get(result.id);
+        if (post) {
+          dotScored.add(post);
+          if (result.unsupported) threadUnsupported.add(post);
+          else threadScores.set(post, result.score);
+          stopObservingDot(post);
+          placeDot(post, result);
+          shieldPost(post, result, false);
+        }
+      }
+      adaptDotBatchSize(performance.now() - started, batch.length);
+    } catch (e) {
+      console.warn('RageCheck dots: local scoring failed', e.message);
+      // Posts already on screen won't intersect again, so they'd never get a dot: requeue them.
+      // Not once the extension is reloaded, though; this context can't reach it any more.
+      if (chrome.runtime?.id) {
+        for (const { post, item } of ranked) {
+          if (!dotScored.has(post) && !dotQueue.has(post)) dotQueue.set(post, item);
+        }
+        retry = true;
       }
     }
   }
 
+  dotFlushing = false;
+
+  // If there are remaining items in the queue, flush again
+  if (dotQueue.size > 0) {
+    dotBatchTimer = setTimeout(flushDotBatch, retry ? DOT_RETRY_DELAY : 0);
+  }
+}
+
+// ============================================================
+// Shield mode: blur or collapse posts above a per-platform threshold
+// ============================================================
+
+const shieldRevealed = new WeakSet(); // posts the user chose to show anyway
+
+function getShieldThreshold() {
+  const key = currentPlatform?.name || 'other';
+  return shieldThresholds[key] ?? shieldThresholds.other ?? 66;
+}
+
+function getTopSignal(signals) {
+  let top = null;
+  for (const [key, value] of Object.entries(signals || {})) {
+    if (!top || value > top.value) top = { key, value };
+  }
+  return top;
+}
+
+function markShieldPending(post) {
+  if (!shieldEnabled || !shieldPending || shieldRevealed.has(post)) return;
+  if (post.classList.contains('ragecheck-shielded')) return;
+  post.classList.add('ragecheck-pending');
+}
+
+function clearPendingShields() {
+  document.querySelectorAll('.ragecheck-pending').forEach(el => el.classList.remove('ragecheck-pending'));
+}
+
+// authoritative: true for full Check results, which may also lift a dot-based shield
+function shieldPost(post, result, authoritative) {
+  post.classList.remove('ragecheck-pending');
+  if (!shieldEnabled || shieldRevealed.has(post) || result.score === undefined) return;
+
+  if (result.score < getShieldThreshold()) {
+    if (authoritative) unshieldPost(post);
+    return;
+  }
+
+  const top = getTopSignal(result.signals);
+  const reason = top
+    ? `${SIGNAL_LABELS[top.key] || top.key} (${top.value})`
+    : i18n('shieldReasonScore', result.score);
+
+  let overlay = post.querySelector(':scope > .ragecheck-shield-overlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'ragecheck-shield-overlay';
+
+    const text = document.createElement('span');
+    text.className = 'ragecheck-shield-text';
+    overlay.appendChild(text);
+
+    const reveal = document.createElement('button');
+    reveal.className = 'ragecheck-shield-reveal';
+    reveal.textContent = i18n('shieldReveal');
+    reveal.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      shieldRevealed.add(post);
+      unshieldPost(post);
+    };
+    overlay.appendChild(reveal);
+
+    post.style.position = post.style.position || 'relative';
+    post.appendChild(overlay);
+  }
+
+  overlay.querySelector('.ragecheck-shield-text').textContent = i18n('shieldHidden', reason);
+  post.classList.remove('ragecheck-shield-blur', 'ragecheck-shield-collapse');
+  post.classList.add('ragecheck-shielded', `ragecheck-shield-${shieldMode === 'collapse' ? 'collapse' : 'blur'}`);
+}
+
+function unshieldPost(post) {
+  post.classList.remove('ragecheck-shielded', 'ragecheck-shield-blur', 'ragecheck-shield-collapse', 'ragecheck-pending');
+  post.querySelector(':scope > .ragecheck-shield-overlay')?.remove();
+}
+
+function clearShields() {
+  document.querySelectorAll('.ragecheck-shielded, .ragecheck-pending').forEach(unshieldPost);
+}
+
+// ============================================================
+// Author reputation badges (stats kept on this device by the background worker)
+// ============================================================
+
+const authorBadgeQueue = new Map(); // post -> { name, el }
+let authorBadgeTimer = null;
+
+function queueAuthorBadge(post, config) {
+  if (!authorBadges) return;
+  const author = getPostAuthor(post, config);
+  if (!author) return;
+  authorBadgeQueue.set(post, author);
+  clearTimeout(authorBadgeTimer);
+  authorBadgeTimer = setTimeout(flushAuthorBadges, 300);
+}
+
+async function flushAuthorBadges() {
+  const authors = [...authorBadgeQueue.values()];
+  authorBadgeQueue.clear();
+  if (authors.length === 0) return;
+
+  let reputations = {};
   try {
-    console.log(`RageCheck dots: scoring ${batch.length} posts...`);
-    const resp = await fetch(`${API_BASE}/api/analyze-batch`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ items: batch })
+    const res = await chrome.runtime.sendMessage({
+      action: 'author-reputation', platform: getSiteName(), authors: [...new Set(authors.map(a => a.name))]
     });
+    reputations = res?.reputations || {};
+  } catch (e) {
+    return;
+  }
 
-    if (!resp.ok) {
-      console.warn(`RageCheck dots: batch API returned ${resp.status}`);
-      return;
+  for (const { name, el } of authors) {
+    const rep = reputations[name];
+    if (rep && el.isConnected) placeAuthorBadge(el, rep);
+  }
+}
+
+function placeAuthorBadge(el, rep) {
+  if (el.nextElementSibling?.classList.contains('ragecheck-author-badge')) return;
+  const badge = document.createElement('span');
+  badge.className = 'ragecheck-author-badge';
+  badge.textContent = i18n('authorBadge', rep.avg);
+  badge.title = i18n('authorBadgeTitle', rep.posts, rep.avg);
+  el.insertAdjacentElement('afterend', badge);
+}
+
+// ============================================================
+// Thread temperature: score a whole comment thread at once
+// ============================================================
+
+// Comment-thread pages only. getDepth() gives nesting, so a comment's subtree is the
+// run of deeper comments that follows it in document order.
+const THREAD_ADAPTERS = {
+  hackernews: {
+    isThread: () => window.location.pathname === '/item',
+    findComments: () => document.querySelectorAll('.athing.comtr'),
+    getText: (c) => c.querySelector('.commtext')?.innerText.trim() || '',
+    getDepth: (c) => parseInt(c.querySelector('td.ind')?.getAttribute('indent') || '0', 10)
+  },
+  reddit: {
+    isThread: () => window.location.pathname.includes('/comments/'),
+    findComments: () => document.querySelectorAll('shreddit-comment'),
+    getText: (c) => c.querySelector(':scope > [slot="comment"]')?.innerText.trim() || '',
+    getDepth: (c) => parseInt(c.getAttribute('depth') || '0', 10)
+  },
+  youtube: {
+    isThread: () => window.location.pathname === '/watch',
+    findComments: () => document.querySelectorAll('ytd-comment-thread-renderer ytd-comment-view-model, ytd-comment-thread-renderer ytd-comment-renderer'),
+    getText: (c) => c.querySelector('#content-text')?.innerText.trim() || '',
+    getDepth: (c) => (c.closest('#replies') ? 1 : 0)
+  },
+  discourse: {
+    isThread: () => /^\/t\//.test(window.location.pathname),
+    findComments: () => document.querySelectorAll('article[data-post-id]'),
+    getText: (c) => c.querySelector('.cooked')?.innerText.trim() || '',
+    // Discourse topics are flat: every post is its own subtree
+    getDepth: () => 0
+  }
+};
+
+const THREAD_HOT = 50;         // same cut as a red dot
+const THREAD_ESCALATION = 15;  // replies this much hotter than their parent = escalating
+const THREAD_BATCH = 25;
+
+const threadScores = new WeakMap(); // comment el -> score; dots fill this too
+const threadUnsupported = new WeakSet(); // comments in a language the scorer doesn't handle
+let threadScanTimer = null;
+let threadScanning = false;
+let threadPanel = null;
+let threadGutter = null;
+let threadModel = null;      // { nodes, targets }
+let threadTargetIndex = -1;
+let threadCollapsed = false;
+
+function getThreadAdapter() {
+  const adapter = THREAD_ADAPTERS[currentPlatform?.name || currentEngine?.name];
+  return adapter && adapter.isThread() ? adapter : null;
+}
+
+function scheduleThreadScan() {
+  if (!threadTemperature) return;
+  clearTimeout(threadScanTimer);
+  threadScanTimer = setTimeout(scanThread, 500);
+}
+
+async function scanThread() {
+  const adapter = getThreadAdapter();
+  if (!threadTemperature || !adapter) {
+    removeThreadView();
+    return;
+  }
+  if (threadScanning) {
+    scheduleThreadScan(); // comments arrived mid-scan; pick them up afterwards
+    return;
+  }
+  threadScanning = true;
+
+  const config = currentPlatform || currentEngine;
+  const comments = [...adapter.findComments()];
+  const pending = [];
+  for (const el of comments) {
+    if (threadScores.has(el) || threadUnsupported.has(el)) continue;
+    const text = adapter.getText(el);
+    if (text.length < 15) {
+      threadScores.set(el, 0); // "+1", "this" - counts as calm, not unknown
+      continue;
     }
-    const data = await resp.json();
+    pending.push({ el, text });
+  }
 
-    for (const result of (data.results || [])) {
-      const post = postMap.get(result.id);
-      if (post) {
-        placeDot(post, result.score);
-        console.log(`RageCheck dot: ${result.id} → ${result.score} (${getDotColor(result.score)})`);
+  renderThreadView(adapter, comments, pending.length);
+
+  for (let i = 0; i < pending.length; i += THREAD_BATCH) {
+    const chunk = pending.slice(i, i + THREAD_BATCH);
+    const items = await Promise.all(chunk.map(async (p, j) => ({
+      id: `thread-${i + j}`,
+      url: (config.getPostUrl && config.getPostUrl(p.el)) || window.location.href,
+      text: p.text,
+      lang: await detectPostLanguage(p.el, p.text)
+    })));
+    try {
+      // thread: true keeps off-screen comments out of the exposure stats
+      const data = await chrome.runtime.sendMessage({ action: 'score', items, platform: getSiteName(), thread: true });
+      if (data?.error) throw new Error(data.error);
+      for (const result of (data?.results || [])) {
+        const idx = parseInt(result.id.slice('thread-'.length), 10) - i;
+        if (!chunk[idx]) continue;
+        if (result.unsupported) threadUnsupported.add(chunk[idx].el);
+        else threadScores.set(chunk[idx].el, result.score);
       }
+    } catch (e) {
+      console.warn('RageCheck thread: scoring failed', e.message);
+      break;
     }
-  } catch (e) {
-    console.warn('RageCheck dots: batch failed', e.message);
+    renderThreadView(adapter, comments, pending.length - i - chunk.length);
   }
 
-  // If there are remaining items in the queue, flush again
-  if (dotQueue.size > 0) {
-    dotBatchTimer = setTimeout(flushDotBatch, 100);
+  threadScanning = false;
+}
+
+function buildThreadModel(adapter, comments) {
+  const nodes = comments.map(el => ({ el, depth: adapter.getDepth(el), score: threadScores.get(el) }));
+
+  nodes.forEach((node, i) => {
+    let end = i + 1;
+    while (end < nodes.length && nodes[end].depth > node.depth) end++;
+    node.last = nodes[end - 1].el;
+    const replies = nodes.slice(i + 1, end).filter(n => n.score !== undefined);
+    node.replyMean = replies.length > 0 ? replies.reduce((a, n) => a + n.score, 0) / replies.length : null;
+    node.escalates = node.score !== undefined && replies.length >= 2 &&
+      node.replyMean >= THREAD_HOT && node.replyMean - node.score >= THREAD_ESCALATION;
+  });
+
+  // Jump order: hottest first, escalating subtrees ranked by how hot their replies get
+  const heat = (n) => Math.max(n.score ?? 0, n.escalates ? n.replyMean : 0);
+  const targets = nodes.filter(n => n.score >= THREAD_HOT || n.escalates).sort((a, b) => heat(b) - heat(a));
+
+  return { nodes, targets };
+}
+
+// Mean alone hides a few flame-wars in a long calm thread; the 90th percentile shows them
+function threadTemperatureOf(scores) {
+  if (scores.length === 0) return 0;
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  const p90 = sorted[Math.floor(0.9 * (sorted.length - 1))];
+  return Math.round(mean * 0.6 + p90 * 0.4);
+}
+
+function threadLabel(temp) {
+  if (temp >= 66) return i18n('threadHot');
+  if (temp >= 33) return i18n('threadWarm');
+  return i18n('threadCalm');
+}
+
+function renderThreadView(adapter, comments, remaining) {
+  threadModel = buildThreadModel(adapter, comments);
+  const scores = threadModel.nodes.map(n => n.score).filter(s => s !== undefined);
+  const temp = threadTemperatureOf(scores);
+  const hot = scores.filter(s => s >= THREAD_HOT).length;
+  const escalating = threadModel.nodes.filter(n => n.escalates).length;
+
+  if (!threadPanel) createThreadPanel();
+  threadPanel.classList.toggle('ragecheck-thread-collapsed', threadCollapsed);
+  const band = temp >= 66 ? 'hot' : temp >= 33 ? 'warm' : 'calm';
+  threadPanel.querySelector('.ragecheck-thread-temp').className = `ragecheck-thread-temp ragecheck-thread-${band}`;
+  threadPanel.querySelector('.ragecheck-thread-temp').textContent = `${temp}°`;
+  threadPanel.querySelector('.ragecheck-thread-label').textContent = threadLabel(temp);
+  threadPanel.querySelector('.ragecheck-thread-stats').textContent = remaining > 0
+    ? i18n('threadScoring', scores.length, scores.length + remaining)
+    : i18n('threadStats', scores.length, hot, escalating);
+
+  const jump = threadPanel.querySelector('.ragecheck-thread-jump');
+  jump.disabled = threadModel.targets.length === 0;
+  jump.textContent = threadModel.targets.length > 0
+    ? i18n('threadJump', threadModel.targets.length)
+    : i18n('threadNothingHeated');
+  threadTargetIndex = -1;
+
+  renderThreadGutter();
+}
+
+function createThreadPanel() {
+  threadPanel = document.createElement('div');
+  threadPanel.className = 'ragecheck-thread-panel';
+  threadPanel.setAttribute('role', 'status');
+
+  const temp = document.createElement('button');
+  temp.className = 'ragecheck-thread-temp';
+  temp.title = i18n('threadTempTitle');
+  temp.onclick = () => {
+    threadCollapsed = !threadCollapsed;
+    threadPanel.classList.toggle('ragecheck-thread-collapsed', threadCollapsed);
+  };
+
+  const body = document.createElement('div');
+  body.className = 'ragecheck-thread-body';
+  const label = document.createElement('div');
+  label.className = 'ragecheck-thread-label';
+  const stats = document.createElement('div');
+  stats.className = 'ragecheck-thread-stats';
+  const jump = document.createElement('button');
+  jump.className = 'ragecheck-thread-jump';
+  jump.onclick = jumpToHottest;
+  body.append(label, stats, jump);
+
+  threadPanel.append(temp, body);
+  document.body.appendChild(threadPanel);
+
+  threadGutter = document.createElement('div');
+  threadGutter.className = 'ragecheck-thread-gutter';
+  document.body.appendChild(threadGutter);
+  window.addEventListener('resize', renderThreadGutter);
+}
+
+function removeThreadView() {
+  threadPanel?.remove();
+  threadGutter?.remove();
+  threadPanel = null;
+  threadGutter = null;
+  threadModel = null;
+  window.removeEventListener('resize', renderThreadGutter);
+}
+
+function focusComment(el) {
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  el.classList.add('ragecheck-thread-focus');
+  setTimeout(() => el.classList.remove('ragecheck-thread-focus'), 2000);
+}
+
+function jumpToHottest() {
+  const targets = threadModel?.targets.filter(n => n.el.isConnected) || [];
+  if (targets.length === 0) return;
+  threadTargetIndex = (threadTargetIndex + 1) % targets.length;
+  focusComment(targets[threadTargetIndex].el);
+  threadPanel.querySelector('.ragecheck-thread-jump').textContent =
+    i18n('threadNextHottest', threadTargetIndex + 1, targets.length);
+}
+
+// Scrollbar-style map of the page: one tick per heated comment, one band per escalating subtree
+function renderThreadGutter() {
+  if (!threadGutter || !threadModel) return;
+  threadGutter.textContent = '';
+  const docHeight = document.documentElement.scrollHeight;
+
+  for (const node of threadModel.nodes) {
+    if (!node.el.isConnected || !(node.score >= 10 || node.escalates)) continue;
+    const top = node.el.getBoundingClientRect().top + window.scrollY;
+    const bottom = node.escalates ? node.last.getBoundingClientRect().bottom + window.scrollY : top;
+
+    const mark = document.createElement('div');
+    mark.className = 'ragecheck-thread-mark ' + (node.escalates
+      ? 'ragecheck-thread-mark-escalates'
+      : `ragecheck-thread-mark-${RageUI.dotColor(node.score)}`);
+    mark.style.top = `${(top / docHeight) * 100}%`;
+    mark.style.height = `max(3px, ${((bottom - top) / docHeight) * 100}%)`;
+    mark.title = node.escalates
+      ? i18n('threadMarkEscalating', Math.round(node.replyMean))
+      : i18n('threadMarkScore', node.score);
+    mark.onclick = () => focusComment(node.el);
+    threadGutter.appendChild(mark);
+  }
+}
+
+// ============================================================
+// Keyboard commands (chrome.commands, routed here by the background worker)
+// ============================================================
+
+const knownPosts = new Set(); // every post processPost has seen, for next/previous
+let focusedPost = null;
+let toastTimer = null;
+
+function showToast(text) {
+  let toast = document.querySelector('.ragecheck-toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.className = 'ragecheck-toast';
+    toast.setAttribute('role', 'status');
+    document.body.appendChild(toast);
+  }
+  toast.textContent = text;
+  toast.classList.add('ragecheck-toast-show');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.remove('ragecheck-toast-show'), 1800);
+}
+
+// Connected posts in document order
+function getNavigablePosts() {
+  for (const post of knownPosts) {
+    if (!post.isConnected) knownPosts.delete(post);
+  }
+  return [...knownPosts].sort((a, b) =>
+    a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+}
+
+function setFocusedPost(post) {
+  focusedPost?.classList.remove('ragecheck-kb-focus');
+  focusedPost = post;
+  post.classList.add('ragecheck-kb-focus');
+  post.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Without a focused post (or after it scrolled away) start from what's on screen
+function moveFocus(step) {
+  const posts = getNavigablePosts();
+  if (posts.length === 0) {
+    showToast(i18n('toastNoPosts'));
+    return;
+  }
+
+  let index = focusedPost ? posts.indexOf(focusedPost) : -1;
+  if (index === -1 || viewportDistance(focusedPost) > 0) {
+    const firstVisible = posts.findIndex(p => p.getBoundingClientRect().bottom > 0);
+    index = firstVisible === -1 ? posts.length - 1 : firstVisible;
+    if (step > 0) index--; // so "next" lands on the first visible post itself
+  }
+
+  const next = Math.min(posts.length - 1, Math.max(0, index + step));
+  setFocusedPost(posts[next]);
+}
+
+function focusedCheckButton() {
+  if (!focusedPost?.isConnected) {
+    showToast(i18n('toastNoFocus'));
+    return null;
+  }
+  const check = RageUI.getCheckButton(focusedPost.querySelector('.ragecheck-btn'));
+  if (!check) showToast(i18n('toastNoButton'));
+  return check;
+}
+
+function handleCommand(msg) {
+  switch (msg.command) {
+    case 'next-post':
+      moveFocus(1);
+      break;
+    case 'previous-post':
+      moveFocus(-1);
+      break;
+    case 'check-post': {
+      const check = focusedCheckButton();
+      if (!check) break;
+      // Already checked: show the result tooltip instead of opening the full analysis
+      if (check.state === 'result') check.focus();
+      else check.click();
+      break;
+    }
+    case 'open-analysis': {
+      const check = focusedCheckButton();
+      if (!check) break;
+      if (check.state === 'result') check.click();
+      else showToast(i18n('toastCheckFirst'));
+      break;
+    }
+    case 'toggle-dots':
+      showToast(i18n(msg.autoDots ? 'toastDotsOn' : 'toastDotsOff'));
+      break;
+    case 'scan-page':
+      showToast(msg.count > 0 ? i18n('toastFoundPosts', msg.count) : i18n('toastNoPostsFound'));
+      break;
+  }
+}
+
+// ============================================================
+// Selector picker: build a site adapter by clicking
+// ============================================================
+
+const PICKER_STEPS = [
+  { key: 'postSelector', prompt: 'pickerPromptPost' },
+  { key: 'contentSelector', prompt: 'pickerPromptText', optional: true },
+  { key: 'actionBarSelector', prompt: 'pickerPromptActionBar', optional: true }
+];
+
+// Hashed or generated class names change on every deploy; don't build selectors on them
+const UNSTABLE_CLASS = /\d{3,}|^css-|^sc-|^jsx-|^_|__[a-z0-9]{5,}$|--[a-z0-9]{5,}$/i;
+const STABLE_ATTRS = ['data-testid', 'data-test', 'data-type', 'data-component', 'role', 'itemtype'];
+
+let picker = null; // { step, picks, post, hovered, banner, highlight, postBox }
+
+function selectorCandidates(el) {
+  const tag = el.tagName.toLowerCase();
+  const out = [];
+  for (const attr of STABLE_ATTRS) {
+    const value = el.getAttribute(attr);
+    if (value && value.length < 80) out.push(`${tag}[${attr}="${CSS.escape(value)}"]`);
+  }
+  const classes = [...el.classList].filter(c => !UNSTABLE_CLASS.test(c) && !c.startsWith('ragecheck-')).slice(0, 3);
+  if (classes.length > 0) {
+    out.push(`${tag}.${classes.map(c => CSS.escape(c)).join('.')}`);
+    classes.forEach(c => out.push(`${tag}.${CSS.escape(c)}`));
+  }
+  if (el.id && !/\d/.test(el.id)) out.push(`#${CSS.escape(el.id)}`);
+  return out;
+}
+
+// Posts repeat: prefer the first candidate that matches this element and at least one sibling
+function suggestPostSelector(el) {
+  const candidates = selectorCandidates(el).filter(c => el.matches(c));
+  for (const c of candidates) {
+    const count = document.querySelectorAll(c).length;
+    if (count >= 2 && count <= 500) return c;
+  }
+  return candidates[0] || el.tagName.toLowerCase();
+}
+
+// Inside a post: the candidate that finds this element here and something in the most other posts
+function suggestInnerSelector(el, post, postSelector) {
+  const posts = [...document.querySelectorAll(postSelector)].slice(0, 20);
+  let best = null;
+  let bestCoverage = -1;
+  for (const c of selectorCandidates(el)) {
+    if (safeQuerySelector(post, c) !== el) continue;
+    const coverage = posts.filter(p => safeQuerySelector(p, c)).length;
+    if (coverage > bestCoverage) {
+      best = c;
+      bestCoverage = coverage;
+    }
+  }
+  return best || structuralPath(el, post);
+}
+
+// Fallback: ":scope > div:nth-of-type(2) > p" from the post down
+function structuralPath(el, post) {
+  const parts = [];
+  for (let node = el; node && node !== post; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    const sameTag = [...node.parentElement.children].filter(c => c.tagName === node.tagName);
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+  }
+  return ':scope > ' + parts.join(' > ');
+}
+
+function startPicker() {
+  if (picker) return;
+  picker = { step: 0, picks: {}, post: null, hovered: null };
+
+  picker.highlight = document.createElement('div');
+  picker.highlight.className = 'ragecheck-picker-highlight';
+  picker.postBox = document.createElement('div');
+  picker.postBox.className = 'ragecheck-picker-highlight ragecheck-picker-post';
+  picker.postBox.hidden = true;
+  picker.banner = document.createElement('div');
+  picker.banner.className = 'ragecheck-picker-banner';
+  document.body.append(picker.highlight, picker.postBox, picker.banner);
+
+  document.addEventListener('mouseover', onPickerHover, true);
+  document.addEventListener('click', onPickerClick, true);
+  document.addEventListener('keydown', onPickerKey, true);
+  window.addEventListener('scroll', positionPickerBoxes, true);
+  renderPickerStep();
+}
+
+function stopPicker() {
+  if (!picker) return;
+  document.removeEventListener('mouseover', onPickerHover, true);
+  document.removeEventListener('click', onPickerClick, true);
+  document.removeEventListener('keydown', onPickerKey, true);
+  window.removeEventListener('scroll', positionPickerBoxes, true);
+  picker.highlight.remove();
+  picker.postBox.remove();
+  picker.banner.remove();
+  picker = null;
+}
+
+function isPickerUi(el) {
+  return !!el.closest?.('.ragecheck-picker-banner');
+}
+
+function placeBox(box, el) {
+  if (!el) {
+    box.hidden = true;
+    return;
+  }
+  const r = el.getBoundingClientRect();
+  Object.assign(box.style, { top: `${r.top}px`, left: `${r.left}px`, width: `${r.width}px`, height: `${r.height}px` });
+  box.hidden = false;
+}
+
+function positionPickerBoxes() {
+  if (!picker) return;
+  placeBox(picker.highlight, picker.hovered);
+  placeBox(picker.postBox, picker.post);
+}
+
+function onPickerHover(e) {
+  if (isPickerUi(e.target)) return;
+  // After the post is picked, only its descendants are valid targets
+  if (picker.post && !picker.post.contains(e.target)) return;
+  picker.hovered = e.target;
+  positionPickerBoxes();
+}
+
+function onPickerKey(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    stopPicker();
   }
 }
 
+function onPickerClick(e) {
+  if (isPickerUi(e.target)) return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (picker.step >= PICKER_STEPS.length) return;
+
+  const el = e.target;
+  const step = PICKER_STEPS[picker.step];
+
+  if (step.key === 'postSelector') {
+    picker.post = el;
+    picker.picks.postSelector = suggestPostSelector(el);
+  } else {
+    if (el === picker.post || !picker.post.contains(el)) {
+      setPickerHint(i18n('pickerInsidePost'));
+      return;
+    }
+    picker.picks[step.key] = suggestInnerSelector(el, picker.post, picker.picks.postSelector);
+  }
+
+  picker.step++;
+  picker.hovered = null;
+  positionPickerBoxes();
+  renderPickerStep();
+}
+
+function pickerButton(label, onClick, primary) {
+  const btn = document.createElement('button');
+  btn.className = 'ragecheck-picker-btn' + (primary ? ' ragecheck-picker-primary' : '');
+  btn.textContent = label;
+  btn.onclick = (e) => {
+    e.preventDefault();
+    onClick();
+  };
+  return btn;
+}
+
+function setPickerHint(text) {
+  const hint = picker?.banner.querySelector('.ragecheck-picker-hint');
+  if (hint) hint.textContent = text;
+}
+
+function renderPickerStep() {
+  const banner = picker.banner;
+  banner.textContent = '';
+
+  if (picker.step >= PICKER_STEPS.length) {
+    renderPickerReview();
+    return;
+  }
+
+  const step = PICKER_STEPS[picker.step];
+  const title = document.createElement('strong');
+  title.textContent = i18n('pickerTitle', picker.step + 1, PICKER_STEPS.length);
+  const prompt = document.createElement('span');
+  prompt.textContent = i18n(step.prompt);
+  const hint = document.createElement('span');
+  hint.className = 'ragecheck-picker-hint';
+
+  banner.append(title, prompt, hint);
+  if (step.optional) {
+    banner.appendChild(pickerButton(i18n('pickerSkip'), () => {
+      picker.step++;
+      renderPickerStep();
+    }));
+  }
+  banner.appendChild(pickerButton(i18n('pickerCancel'), stopPicker));
+}
+
+function renderPickerReview() {
+  const banner = picker.banner;
+  const title = document.createElement('strong');
+  title.textContent = i18n('pickerReview');
+  banner.appendChild(title);
+
+  const fields = [
+    ['name', 'adapterFieldName', window.location.hostname],
+    ['postSelector', 'adapterFieldPost', picker.picks.postSelector],
+    ['contentSelector', 'adapterFieldText', picker.picks.contentSelector || ''],
+    ['actionBarSelector', 'adapterFieldActionBar', picker.picks.actionBarSelector || '']
+  ];
+  const inputs = {};
+  for (const [key, labelKey, value] of fields) {
+    const wrap = document.createElement('label');
+    wrap.className = 'ragecheck-picker-field';
+    wrap.textContent = i18n(labelKey);
+    const input = document.createElement('input');
+    input.value = value;
+    input.spellcheck = false;
+    wrap.appendChild(input);
+    banner.appendChild(wrap);
+    inputs[key] = input;
+  }
+
+  const hint = document.createElement('span');
+  hint.className = 'ragecheck-picker-hint';
+  banner.appendChild(hint);
+
+  const readAdapter = () => ({
+    name: inputs.name.value.trim() || window.location.hostname,
+    host: window.location.hostname,
+    detect: inputs.postSelector.value.trim(),
+    postSelector: inputs.postSelector.value.trim(),
+    contentSelector: inputs.contentSelector.value.trim() || null,
+    actionBarSelector: inputs.actionBarSelector.value.trim() || null
+  });
+
+  const showTest = () => {
+    const r = testAdapter(readAdapter());
+    setPickerHint(r.error || i18n('adapterTestCounts', r.posts, r.withText, r.withActionBar));
+    return r;
+  };
+  for (const input of Object.values(inputs)) input.addEventListener('change', showTest);
+  showTest();
+
+  banner.appendChild(pickerButton(i18n('pickerSave'), async () => {
+    const adapter = readAdapter();
+    if (showTest().error) return;
+    try {
+      const res = await chrome.runtime.sendMessage({ action: 'save-adapter', adapter });
+      stopPicker();
+      customAdapters[res.id] = adapter;
+      if (!currentPlatform && !currentEngine) init();
+    } catch (e) {
+      setPickerHint(i18n('pickerSaveFailed'));
+    }
+  }, true));
+  banner.appendChild(pickerButton(i18n('pickerCancel'), stopPicker));
+}
+
+// Used by the picker review and the options page "Test" button
+function testAdapter(adapter) {
+  let posts;
+  try {
+    posts = document.querySelectorAll(adapter.postSelector);
+    if (adapter.contentSelector) document.querySelector(adapter.contentSelector);
+    if (adapter.actionBarSelector) document.querySelector(adapter.actionBarSelector);
+  } catch (e) {
+    return { error: i18n('adapterInvalidSelector', e.message) };
+  }
+
+  let withText = 0;
+  let withActionBar = 0;
+  let sample = null;
+  posts.forEach(post => {
+    const text = getPostText(post, adapter);
+    if (text) {
+      withText++;
+      if (!sample) sample = text.slice(0, 120);
+    }
+    if (adapter.actionBarSelector && safeQuerySelector(post, adapter.actionBarSelector)) withActionBar++;
+  });
+
+  return { posts: posts.length, withText, withActionBar, sample, hostname: window.location.hostname };
+}
+
 // ============================================================
 // Main initialization
 // ============================================================
@@ -959,10 +2547,11 @@ function init() {
   console.log(`RageCheck: Tier ${detectionTier} — ${currentPlatform?.name || currentEngine?.name}`);
 
   processAllPosts();
+  if (currentPlatform?.override) setTimeout(compareOverrideExtractors, OVERRIDE_COMPARE_DELAY);
 
   // Set up MutationObserver
   // Scope to known container if possible, otherwise fall back to body
-  const observeTarget = (currentEngine?.observeTarget && document.querySelector(currentEngine.observeTarget)) || document.body;
+  const observeTarget = (currentEngine?.observeTarget && safeQuerySelector(document, currentEngine.observeTarget)) || document.body;
   let debounceTimer;
 
   const observer = new MutationObserver(() => {
@@ -992,8 +2581,11 @@ function init() {
   }
 }
 
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
-}
+// Wait for stored engines/adapters so detection can see them
+Promise.all([remoteConfigReady, customAdaptersReady]).finally(() => {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+});
@@ -0,0 +1,295 @@
+localizePage();
+
+const refreshBtn = document.getElementById('refresh');
+const copyBtn = document.getElementById('copyReport');
+const clearBtn = document.getElementById('clearHighlight');
+const statusEl = document.getElementById('status');
+const emptyEl = document.getElementById('empty');
+const reportEl = document.getElementById('report');
+const summaryEl = document.getElementById('summary');
+const matchedEl = document.getElementById('matchedRules');
+const fallbacksEl = document.getElementById('fallbacks');
+const otherEl = document.getElementById('otherRules');
+const otherSummaryEl = document.getElementById('otherRulesSummary');
+
+// The popup passes the tab it was opened on; this page is a tab of its own
+const tabId = Number(new URLSearchParams(location.search).get('tab'));
+
+const TIER_LABELS = { 1: 'diagTier1', 1.5: 'diagTierSchema', 2: 'diagTierGeneric' };
+const KIND_LABELS = { platform: 'diagKindPlatform', custom: 'diagKindCustom', engine: 'diagKindEngine', remote: 'diagKindRemote' };
+
+let report = null;
+let highlighted = null; // rule id currently outlined in the tab
+
+function flashStatus(text) {
+  statusEl.textContent = text;
+  setTimeout(() => { statusEl.textContent = ''; }, 2000);
+}
+
+function showEmpty(text) {
+  report = null;
+  reportEl.hidden = true;
+  emptyEl.textContent = text;
+  emptyEl.hidden = false;
+  copyBtn.disabled = true;
+  clearBtn.disabled = true;
+}
+
+function load() {
+  if (!tabId) {
+    showEmpty(i18n('diagNoTab'));
+    return;
+  }
+  statusEl.textContent = i18n('diagRunning');
+  highlighted = null;
+  chrome.runtime.sendMessage({ action: 'site-diagnostics', tabId }, (response) => {
+    statusEl.textContent = '';
+    if (chrome.runtime.lastError || !response || response.error) {
+      showEmpty(i18n(response?.error === 'tab_closed' ? 'diagTabClosed' : 'diagCannotRun'));
+      return;
+    }
+    report = response;
+    emptyEl.hidden = true;
+    reportEl.hidden = false;
+    copyBtn.disabled = false;
+    clearBtn.disabled = true;
+    render();
+  });
+}
+
+// ============================================================
+// Rendering
+// ============================================================
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function tierLabel(tier) {
+  return TIER_LABELS[tier] ? i18n(TIER_LABELS[tier]) : i18n('diagTierNone');
+}
+
+function renderSummary() {
+  summaryEl.replaceChildren();
+  const rows = [
+    ['diagPage', report.url],
+    ['diagTier', tierLabel(report.tier)],
+    ['diagActiveRule', report.active || report.detected || i18n('diagNone')],
+    ['diagInjected', i18n('diagInjectedCounts', report.injected, report.dots)]
+  ];
+  for (const [key, value] of rows) {
+    const item = el('div');
+    item.append(el('dt', '', i18n(key)), el('dd', '', value));
+    summaryEl.appendChild(item);
+  }
+}
+
+function countItem(key, value, total) {
+  const item = el('span', total > 0 && value === 0 ? 'zero' : '');
+  const strong = el('strong', '', String(value));
+  item.append(i18n(key) + ' ', strong);
+  return item;
+}
+
+function highlightButton(ruleId, posts) {
+  const btn = el('button', 'btn', i18n('diagHighlight'));
+  btn.disabled = posts === 0;
+  btn.setAttribute('aria-pressed', String(highlighted === ruleId));
+  btn.addEventListener('click', () => highlight(highlighted === ruleId ? null : ruleId));
+  return btn;
+}
+
+function renderSamples(samples) {
+  const list = el('ul', 'samples');
+  for (const sample of samples) {
+    const item = el('li', '', sample.text || i18n('diagNoText'));
+    item.appendChild(el('span', 'url', sample.url || i18n('diagNoUrl')));
+    list.appendChild(item);
+  }
+  return list;
+}
+
+function renderRule(rule) {
+  const card = el('div', rule.active ? 'rule active' : 'rule');
+
+  const head = el('div', 'rule-head');
+  head.append(el('span', 'rule-name', rule.name), el('span', 'tag', i18n(KIND_LABELS[rule.kind])));
+  if (rule.active) head.appendChild(el('span', 'tag active', i18n('diagActive')));
+  else if (rule.matched) head.appendChild(el('span', 'tag matched', i18n('diagMatched')));
+  if (rule.disabled) head.appendChild(el('span', 'tag warn', i18n('diagDisabled')));
+  if (rule.overridden) head.appendChild(el('span', 'tag warn', i18n('diagOverridden')));
+  head.appendChild(el('span', 'spacer'));
+  head.appendChild(highlightButton(rule.id, rule.posts));
+  card.appendChild(head);
+
+  if (rule.note) card.appendChild(el('p', 'note', rule.note));
+  if (rule.error) card.appendChild(el('p', 'error', i18n('diagSelectorError', rule.error)));
+
+  const counts = el('div', 'counts');
+  counts.append(
+    countItem('diagPosts', rule.posts, rule.posts),
+    countItem('diagWithText', rule.withText, rule.posts),
+    countItem('diagWithUrl', rule.withUrl, rule.posts),
+    countItem('diagWithActionBar', rule.withActionBar, rule.selectors.actionBar ? rule.posts : 0),
+    countItem('diagWithAuthor', rule.withAuthor, rule.selectors.author ? rule.posts : 0)
+  );
+  card.appendChild(counts);
+
+  const selectors = el('div', 'selectors');
+  for (const [field, value] of Object.entries(rule.selectors)) {
+    if (!value) continue;
+    selectors.append(el('span', '', i18n(`diagSelector_${field}`)), el('code', '', value));
+  }
+  card.appendChild(selectors);
+
+  if (rule.samples.length) card.appendChild(renderSamples(rule.samples));
+  return card;
+}
+
+function renderFallbacks() {
+  fallbacksEl.replaceChildren();
+  const { schemaOrg, generic } = report;
+
+  const schema = el('div', report.tier === 1.5 ? 'rule active' : 'rule');
+  const schemaHead = el('div', 'rule-head');
+  schemaHead.append(el('span', 'rule-name', i18n('diagSchemaOrg')), el('span', 'spacer'),
+    highlightButton('schema-org', schemaOrg.microdata));
+  schema.appendChild(schemaHead);
+  const schemaCounts = el('div', 'counts');
+  schemaCounts.append(countItem('diagJsonLd', schemaOrg.jsonld, 0), countItem('diagMicrodata', schemaOrg.microdata, 0));
+  schema.appendChild(schemaCounts);
+  if (schemaOrg.samples.length) schema.appendChild(renderSamples(schemaOrg.samples));
+
+  const heuristic = el('div', report.tier === 2 ? 'rule active' : 'rule');
+  const heuristicHead = el('div', 'rule-head');
+  heuristicHead.append(el('span', 'rule-name', i18n('diagGeneric')), el('span', 'spacer'),
+    highlightButton('generic', generic.posts));
+  heuristic.appendChild(heuristicHead);
+  const heuristicCounts = el('div', 'counts');
+  heuristicCounts.append(
+    countItem('diagPosts', generic.posts, 0),
+    countItem('diagConfidence', Math.round(generic.confidence * 100) + '%', 0)
+  );
+  heuristic.appendChild(heuristicCounts);
+  if (generic.signature) {
+    const selectors = el('div', 'selectors');
+    selectors.append(el('span', '', i18n('diagSignature')), el('code', '', generic.signature));
+    heuristic.appendChild(selectors);
+  }
+  if (generic.samples.length) heuristic.appendChild(renderSamples(generic.samples));
+
+  fallbacksEl.append(schema, heuristic);
+}
+
+function render() {
+  renderSummary();
+
+  // Host matches and rules that found posts anyway (a selector that works off its own site is worth seeing)
+  const relevant = report.rules.filter(r => r.matched || r.posts > 0);
+  const others = report.rules.filter(r => !relevant.includes(r));
+  relevant.sort((a, b) => (b.active - a.active) || (b.matched - a.matched) || (b.posts - a.posts));
+
+  matchedEl.replaceChildren(...relevant.map(renderRule));
+  if (!relevant.length) matchedEl.appendChild(el('p', 'note', i18n('diagNoRules')));
+  renderFallbacks();
+  otherSummaryEl.textContent = i18n('diagOtherRules', others.length);
+  otherEl.replaceChildren(...others.map(renderRule));
+}
+
+function highlight(ruleId) {
+  chrome.runtime.sendMessage({ action: 'site-diagnostics', tabId, highlight: ruleId }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      flashStatus(i18n('diagCannotRun'));
+      return;
+    }
+    highlighted = ruleId && response.count > 0 ? ruleId : null;
+    clearBtn.disabled = !highlighted;
+    if (ruleId) flashStatus(i18n('diagHighlighted', response.count));
+    render();
+  });
+}
+
+// ============================================================
+// Redacted report
+// ============================================================
+
+// Keeps the host and route-like path segments ("status", "comments"); ids, slugs,
+// usernames, the query and the hash are dropped
+function redactUrl(url) {
+  if (!url) return '-';
+  try {
+    const u = new URL(url);
+    const path = u.pathname.split('/').map(seg => (!seg || /^[a-z][a-z_-]{0,15}$/.test(seg)) ? seg : '*').join('/');
+    return `${u.protocol}//${u.host}${path}`;
+  } catch (e) {
+    return '*';
+  }
+}
+
+function redactSample(sample) {
+  return `${sample.text.length} chars, ${redactUrl(sample.url)}`;
+}
+
+function ruleReport(rule) {
+  const state = [rule.active && 'active', rule.matched && 'matched', rule.disabled && 'disabled',
+    rule.overridden && 'overridden'].filter(Boolean).join(', ') || 'no match';
+  const lines = [
+    `### ${rule.name} (${rule.kind}, ${state})`,
+    `posts: ${rule.posts}, text: ${rule.withText}, url: ${rule.withUrl}, action bar: ${rule.withActionBar}, author: ${rule.withAuthor}`
+  ];
+  for (const [field, value] of Object.entries(rule.selectors)) {
+    if (value) lines.push(`- ${field}: \`${value}\``);
+  }
+  if (rule.error) lines.push(`- error: ${rule.error}`);
+  rule.samples.forEach((s, i) => lines.push(`- sample ${i + 1}: ${redactSample(s)}`));
+  return lines.join('\n');
+}
+
+// Markdown for a bug report: selectors and counts in full, post text and personal URLs redacted
+function buildReport() {
+  const { schemaOrg, generic } = report;
+  const relevant = report.rules.filter(r => r.matched || r.posts > 0);
+  const sections = [
+    '## RageCheck site diagnostics',
+    [
+      `- page: ${redactUrl(report.url)}`,
+      `- extension: ${chrome.runtime.getManifest().version}`,
+      `- browser: ${navigator.userAgent.match(/(Chrome|Edg|OPR)\/[\d.]+/g)?.join(' ') || 'unknown'}`,
+      `- tier: ${report.tier ?? 'none'}`,
+      `- active rule: ${report.active || report.detected || 'none'}`,
+      `- injected: ${report.injected} buttons, ${report.dots} dots`
+    ].join('\n'),
+    ...relevant.map(ruleReport),
+    [
+      '### schema.org',
+      `json-ld: ${schemaOrg.jsonld}, microdata: ${schemaOrg.microdata}`,
+      ...schemaOrg.samples.map((s, i) => `- sample ${i + 1}: ${redactSample(s)}`)
+    ].join('\n'),
+    [
+      '### generic',
+      `posts: ${generic.posts}, confidence: ${Math.round(generic.confidence * 100)}%`,
+      generic.signature ? `- signature: \`${generic.signature}\`` : null,
+      ...generic.samples.map((s, i) => `- sample ${i + 1}: ${redactSample(s)}`)
+    ].filter(Boolean).join('\n'),
+    `Rules with no match: ${report.rules.filter(r => !relevant.includes(r)).map(r => r.name).join(', ') || 'none'}`
+  ];
+  return sections.join('\n\n') + '\n';
+}
+
+refreshBtn.addEventListener('click', load);
+
+copyBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(buildReport());
+    flashStatus(i18n('diagCopied'));
+  } catch (e) {
+    flashStatus(i18n('diagCopyFailed'));
+  }
+});
+
+clearBtn.addEventListener('click', () => highlight(null));
+
+load();
@@ -0,0 +1,258 @@
+localizePage();
+
+const searchEl = document.getElementById('search');
+const platformEl = document.getElementById('platform');
+const bandEl = document.getElementById('band');
+const fromEl = document.getElementById('from');
+const toEl = document.getElementById('to');
+const rowsEl = document.getElementById('rows');
+const emptyEl = document.getElementById('empty');
+const summaryEl = document.getElementById('summary');
+const dailyChart = document.getElementById('dailyChart');
+const distChart = document.getElementById('distChart');
+
+const SIGNAL_LABELS = Object.fromEntries(
+  ['arousal', 'enemy', 'moral', 'urgency', 'tribal'].map(key => [key, i18n(`signal_${key}`)])
+);
+
+const MAX_ROWS = 500; // table only; exports include every match
+const DAY = 24 * 60 * 60 * 1000;
+
+let history = [];
+
+function getBand(score) {
+  if (score >= 66) return 'high';
+  if (score >= 33) return 'medium';
+  return 'low';
+}
+
+function load() {
+  chrome.storage.local.get(['checkHistory'], (r) => {
+    history = r.checkHistory || [];
+    fillPlatforms();
+    render();
+  });
+}
+
+function fillPlatforms() {
+  const current = platformEl.value;
+  const platforms = [...new Set(history.map(h => h.platform))].sort();
+  platformEl.length = 1; // keep "All platforms"
+  for (const p of platforms) {
+    const opt = document.createElement('option');
+    opt.value = p;
+    opt.textContent = p;
+    platformEl.appendChild(opt);
+  }
+  if (platforms.includes(current)) platformEl.value = current;
+}
+
+function getFiltered() {
+  const q = searchEl.value.trim().toLowerCase();
+  const platform = platformEl.value;
+  const band = bandEl.value;
+  // Date inputs are local calendar days
+  const from = fromEl.value ? new Date(fromEl.value + 'T00:00').getTime() : -Infinity;
+  const to = toEl.value ? new Date(toEl.value + 'T00:00').getTime() + DAY : Infinity;
+
+  return history.filter(h => {
+    if (platform && h.platform !== platform) return false;
+    if (band && getBand(h.score) !== band) return false;
+    if (h.checkedAt < from || h.checkedAt >= to) return false;
+    if (q) {
+      const haystack = [h.url, h.excerpt, h.label, ...(h.reasons || [])].join(' ').toLowerCase();
+      if (!haystack.includes(q)) return false;
+    }
+    return true;
+  });
+}
+
+function render() {
+  const items = getFiltered();
+  summaryEl.textContent = items.length === history.length
+    ? i18n('historySummaryAll', history.length)
+    : i18n('historySummaryFiltered', items.length, history.length);
+
+  renderDaily(items);
+  renderDistribution(items);
+  renderRows(items);
+}
+
+function renderDaily(items) {
+  dailyChart.textContent = '';
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = today.getTime() - 29 * DAY;
+
+  const days = Array.from({ length: 30 }, () => ({ low: 0, medium: 0, high: 0 }));
+  for (const h of items) {
+    const idx = Math.floor((h.checkedAt - start) / DAY);
+    if (idx >= 0 && idx < 30) days[idx][getBand(h.score)]++;
+  }
+
+  const max = Math.max(1, ...days.map(d => d.low + d.medium + d.high));
+  days.forEach((d, i) => {
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.title = i18n('historyDayTitle', new Date(start + i * DAY).toLocaleDateString(), d.low + d.medium + d.high, d.high);
+    for (const band of ['low', 'medium', 'high']) {
+      if (!d[band]) continue;
+      const seg = document.createElement('div');
+      seg.className = `bar-seg ${band}`;
+      seg.style.height = `${(d[band] / max) * 100}%`;
+      bar.appendChild(seg);
+    }
+    dailyChart.appendChild(bar);
+  });
+
+  document.getElementById('dailyStart').textContent = new Date(start).toLocaleDateString();
+  document.getElementById('dailyEnd').textContent = today.toLocaleDateString();
+}
+
+function renderDistribution(items) {
+  distChart.textContent = '';
+  const buckets = new Array(10).fill(0);
+  for (const h of items) buckets[Math.min(9, Math.floor(h.score / 10))]++;
+
+  const max = Math.max(1, ...buckets);
+  buckets.forEach((count, i) => {
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.title = `${i * 10}-${i * 10 + 9}: ${count}`;
+    const seg = document.createElement('div');
+    seg.className = 'bar-seg bucket';
+    seg.style.height = `${(count / max) * 100}%`;
+    bar.appendChild(seg);
+    distChart.appendChild(bar);
+  });
+}
+
+function cell(tr, className) {
+  const td = document.createElement('td');
+  if (className) td.className = className;
+  tr.appendChild(td);
+  return td;
+}
+
+function renderRows(items) {
+  rowsEl.textContent = '';
+  emptyEl.hidden = items.length > 0;
+
+  for (const h of items.slice(0, MAX_ROWS)) {
+    const tr = document.createElement('tr');
+
+    const when = cell(tr, 'nowrap muted');
+    when.textContent = new Date(h.checkedAt).toLocaleString();
+    when.title = i18n(h.cached ? 'historyViaCached' : 'historyVia', h.source);
+
+    cell(tr, 'nowrap').textContent = h.platform;
+
+    const score = document.createElement('span');
+    score.className = `score ${getBand(h.score)}`;
+    score.textContent = h.score;
+    cell(tr).appendChild(score);
+
+    const item = cell(tr, 'url');
+    if (h.url) {
+      const a = document.createElement('a');
+      a.href = h.url;
+      a.target = '_blank';
+      a.textContent = h.url;
+      item.appendChild(a);
+    }
+    if (h.excerpt) {
+      const ex = document.createElement('div');
+      ex.className = 'excerpt';
+      ex.textContent = h.excerpt;
+      item.appendChild(ex);
+    }
+
+    const signals = document.createElement('div');
+    signals.className = 'mini-signals';
+    for (const [key, value] of Object.entries(h.signals || {})) {
+      const name = document.createElement('span');
+      name.textContent = SIGNAL_LABELS[key] || key;
+      const track = document.createElement('div');
+      track.className = 'mini-track';
+      track.title = value;
+      const fill = document.createElement('div');
+      fill.className = 'mini-fill';
+      fill.style.width = `${value}%`;
+      track.appendChild(fill);
+      signals.append(name, track);
+    }
+    cell(tr).appendChild(signals);
+
+    const reasons = document.createElement('ul');
+    reasons.className = 'reasons';
+    for (const r of h.reasons || []) {
+      const li = document.createElement('li');
+      li.textContent = r;
+      reasons.appendChild(li);
+    }
+    cell(tr).appendChild(reasons);
+
+    rowsEl.appendChild(tr);
+  }
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Text cells starting with = + - @ (or a tab/CR) would run as formulas in a spreadsheet;
+// the leading ' makes them plain text. Post text is untrusted, so every text cell gets it.
+function csvField(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(items) {
+  const signalKeys = Object.keys(SIGNAL_LABELS);
+  const header = ['checked_at', 'platform', 'source', 'score', 'label', 'url', ...signalKeys, 'reasons', 'excerpt'];
+  const lines = [header.join(',')];
+  for (const h of items) {
+    lines.push([
+      new Date(h.checkedAt).toISOString(), h.platform, h.source, h.score, h.label, h.url,
+      ...signalKeys.map(k => h.signals?.[k]),
+      (h.reasons || []).join(' | '), h.excerpt
+    ].map(csvField).join(','));
+  }
+  return lines.join('\n');
+}
+
+function exportName(ext) {
+  return `ragecheck-history-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+document.getElementById('exportCsv').addEventListener('click', () => {
+  download(exportName('csv'), toCsv(getFiltered()), 'text/csv');
+});
+
+document.getElementById('exportJson').addEventListener('click', () => {
+  download(exportName('json'), JSON.stringify(getFiltered(), null, 2), 'application/json');
+});
+
+document.getElementById('clearHistory').addEventListener('click', () => {
+  if (!confirm(i18n('historyClearConfirm'))) return;
+  chrome.storage.local.remove('checkHistory');
+});
+
+for (const el of [platformEl, bandEl, fromEl, toEl]) el.addEventListener('change', render);
+searchEl.addEventListener('input', render);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.checkHistory) load();
+});
+
+load();
@@ -0,0 +1,33 @@
+// RageCheck i18n helpers
+// Thin layer over chrome.i18n, shared by the pages, the content scripts and the service worker.
+// Catalogs live in _locales/<lang>/messages.json; English is the default locale and the fallback.
+
+// i18n('key', ...substitutions) - falls back to the key so a missing message is visible, not blank
+function i18n(key, ...substitutions) {
+  return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+}
+
+// "German" for 'de', named in the browser's UI language
+function languageName(lang) {
+  if (!lang) return i18n('languageUnknown');
+  try {
+    return new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' }).of(lang) || lang;
+  } catch (e) {
+    return lang;
+  }
+}
+
+// Extension pages: fill elements marked data-i18n="key" (text) and data-i18n-<attr>="key" (attributes).
+// The English text stays in the HTML so the markup reads on its own.
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+function localizePage(root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = i18n(el.dataset.i18n);
+  for (const attr of I18N_ATTRIBUTES) {
+    for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) {
+      el.setAttribute(attr, i18n(el.getAttribute(`data-i18n-${attr}`)));
+    }
+  }
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  document.documentElement.dir = chrome.i18n.getMessage('@@bidi_dir') || 'ltr';
+}
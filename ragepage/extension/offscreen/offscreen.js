@@ -0,0 +1,83 @@
+// RageCheck Offscreen Model Host
+// Runs the distilled DistilBERT (q8 ONNX) on the WASM CPU backend.
+// background.js owns lifecycle, batching and fallback; this page only loads the model and runs batches.
+
+const MODEL_ID = 'model'; // resolved against localModelPath → extension/model/
+const MAX_TOKENS = 128;   // matches training max_length
+const SIGNALS = ['arousal', 'enemy', 'moral', 'urgency', 'tribal'];
+
+let tokenizer = null;
+let model = null;
+let loading = null;
+
+async function loadModel() {
+  // Dynamic import so a missing vendor bundle fails this load, not the whole page
+  const { env, AutoTokenizer, AutoModelForSequenceClassification } = await import('../vendor/transformers.min.js');
+
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  env.localModelPath = chrome.runtime.getURL('/');
+  env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('vendor/');
+  env.backends.onnx.wasm.numThreads = 1; // extension pages aren't cross-origin isolated
+  env.backends.onnx.wasm.proxy = false;
+
+  tokenizer = await AutoTokenizer.from_pretrained(MODEL_ID);
+  model = await AutoModelForSequenceClassification.from_pretrained(MODEL_ID, { device: 'wasm', dtype: 'q8' });
+
+  // Warm-up: the first run compiles WASM kernels and allocates buffers
+  const start = performance.now();
+  await infer(['RageCheck warm-up']);
+  return { warmupMs: Math.round(performance.now() - start) };
+}
+
+// Regression head: one sigmoid output for the overall score (label "score" or index 0),
+// plus optional outputs labelled with the five signal names.
+function toResult(row, id2label) {
+  const pct = (x) => Math.round(100 / (1 + Math.exp(-x)));
+  const scoreIdx = Number(Object.keys(id2label).find(i => id2label[i] === 'score') ?? 0);
+  const result = { score: pct(row[scoreIdx]) };
+
+  const signals = {};
+  row.forEach((value, i) => {
+    if (SIGNALS.includes(id2label[i])) signals[id2label[i]] = pct(value);
+  });
+  if (Object.keys(signals).length === SIGNALS.length) result.signals = signals;
+
+  return result;
+}
+
+async function infer(texts) {
+  const inputs = tokenizer(texts, { padding: true, truncation: true, max_length: MAX_TOKENS });
+  const { logits } = await model(inputs);
+  const id2label = model.config.id2label || {};
+  return logits.tolist().map(row => toResult(row, id2label));
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.target !== 'offscreen') return;
+
+  if (msg.action === 'model-load') {
+    loading = loading || loadModel();
+    loading.then(
+      (info) => sendResponse({ ok: true, ...info }),
+      (err) => {
+        loading = null; // let the service worker retry later
+        sendResponse({ ok: false, error: err.message });
+      }
+    );
+    return true;
+  }
+
+  if (msg.action === 'model-infer') {
+    if (!model) {
+      sendResponse({ ok: false, error: 'model not loaded' });
+      return;
+    }
+    const start = performance.now();
+    infer(msg.texts).then(
+      (results) => sendResponse({ ok: true, results, ms: Math.round(performance.now() - start) }),
+      (err) => sendResponse({ ok: false, error: err.message })
+    );
+    return true;
+  }
+});
@@ -1,8 +1,23 @@
+localizePage();
+
 const autoCheckEl = document.getElementById('autoCheck');
 const autoDotsEl = document.getElementById('autoDots');
 const telemetryEl = document.getElementById('telemetry');
+const shareFeedbackEl = document.getElementById('shareFeedback');
+const weeklyDigestEl = document.getElementById('weeklyDigest');
+const threadTemperatureEl = document.getElementById('threadTemperature');
+const authorBadgesEl = document.getElementById('authorBadges');
 const apiBaseEl = document.getElementById('apiBase');
 const statusEl = document.getElementById('status');
+const cacheStatsEl = document.getElementById('cacheStats');
+const clearCacheBtn = document.getElementById('clearCache');
+
+const shieldEnabledEl = document.getElementById('shieldEnabled');
+const shieldModeEl = document.getElementById('shieldMode');
+const shieldPendingEl = document.getElementById('shieldPending');
+const shieldThresholdsEl = document.getElementById('shieldThresholds');
+
+const DEFAULT_SHIELD_THRESHOLD = 66;
 
 const platformEls = {
   twitter: document.getElementById('plt-twitter'),
@@ -15,12 +30,39 @@ const platformEls = {
   stackoverflow: document.getElementById('plt-stackoverflow')
 };
 
+// Comment widgets: each needs its widget host granted; the background registers the frames
+const EMBED_ORIGINS = {
+  disqus: ['https://disqus.com/*'],
+  giscus: ['https://giscus.app/*'],
+  utterances: ['https://utteranc.es/*'],
+  facebookComments: ['https://www.facebook.com/*']
+};
+const embedEls = Object.fromEntries(
+  Object.keys(EMBED_ORIGINS).map(key => [key, document.getElementById(`embed-${key}`)])
+);
+
+// Shield thresholds: one per platform plus 'other' for forums and scanned sites
+const thresholdEls = {};
+for (const key of [...Object.keys(platformEls), 'other']) {
+  thresholdEls[key] = document.getElementById(`thr-${key}`);
+}
+
+function updateShieldState() {
+  shieldThresholdsEl.classList.toggle('disabled', !shieldEnabledEl.checked);
+}
+
 // Load saved settings
-chrome.storage.sync.get(['autoCheck', 'autoDots', 'enabledPlatforms', 'apiBase', 'telemetry'], (result) => {
+chrome.storage.sync.get(['autoCheck', 'autoDots', 'enabledPlatforms', 'enabledEmbeds', 'apiBase', 'telemetry', 'shareFeedback', 'weeklyDigest', 'threadTemperature', 'authorBadges',
+  'shieldEnabled', 'shieldMode', 'shieldPending', 'shieldThresholds'], (result) => {
   if (result.autoCheck) autoCheckEl.checked = result.autoCheck;
   // autoDots defaults to true
   autoDotsEl.checked = result.autoDots !== false;
   if (result.telemetry) telemetryEl.checked = result.telemetry;
+  shareFeedbackEl.checked = !!result.shareFeedback;
+  if (result.weeklyDigest) weeklyDigestEl.checked = result.weeklyDigest;
+  threadTemperatureEl.checked = !!result.threadTemperature;
+  // authorBadges defaults to true
+  authorBadgesEl.checked = result.authorBadges !== false;
 
   if (result.enabledPlatforms) {
     for (const [key, el] of Object.entries(platformEls)) {
@@ -28,7 +70,21 @@ chrome.storage.sync.get(['autoCheck', 'autoDots', 'enabledPlatforms', 'apiBase',
     }
   }
 
+  // Shown on only while the host grant still holds; removing it in chrome://extensions turns a widget off
+  for (const [key, el] of Object.entries(embedEls)) {
+    if (!result.enabledEmbeds?.[key]) continue;
+    chrome.permissions.contains({ origins: EMBED_ORIGINS[key] }, (has) => { el.checked = has; });
+  }
+
   if (result.apiBase) apiBaseEl.value = result.apiBase;
+
+  shieldEnabledEl.checked = !!result.shieldEnabled;
+  shieldModeEl.value = result.shieldMode || 'blur';
+  shieldPendingEl.checked = !!result.shieldPending;
+  for (const [key, el] of Object.entries(thresholdEls)) {
+    el.value = result.shieldThresholds?.[key] ?? DEFAULT_SHIELD_THRESHOLD;
+  }
+  updateShieldState();
 });
 
 // Save on change
@@ -38,11 +94,31 @@ function save() {
     if (el) enabledPlatforms[key] = el.checked;
   }
 
+  const enabledEmbeds = {};
+  for (const [key, el] of Object.entries(embedEls)) enabledEmbeds[key] = el.checked;
+
+  const shieldThresholds = {};
+  for (const [key, el] of Object.entries(thresholdEls)) {
+    const value = parseInt(el.value, 10);
+    shieldThresholds[key] = Number.isNaN(value) ? DEFAULT_SHIELD_THRESHOLD : Math.min(100, Math.max(0, value));
+    el.value = shieldThresholds[key];
+  }
+  updateShieldState();
+
   const settings = {
     autoCheck: autoCheckEl.checked,
     autoDots: autoDotsEl.checked,
     telemetry: telemetryEl.checked,
+    shareFeedback: shareFeedbackEl.checked,
+    weeklyDigest: weeklyDigestEl.checked,
+    threadTemperature: threadTemperatureEl.checked,
+    authorBadges: authorBadgesEl.checked,
     enabledPlatforms,
+    enabledEmbeds,
+    shieldEnabled: shieldEnabledEl.checked,
+    shieldMode: shieldModeEl.value,
+    shieldPending: shieldPendingEl.checked,
+    shieldThresholds,
     apiBase: apiBaseEl.value.trim() || undefined
   };
 
@@ -57,7 +133,421 @@ function save() {
 autoCheckEl.addEventListener('change', save);
 autoDotsEl.addEventListener('change', save);
 telemetryEl.addEventListener('change', save);
+shareFeedbackEl.addEventListener('change', save);
+weeklyDigestEl.addEventListener('change', save);
+threadTemperatureEl.addEventListener('change', save);
+authorBadgesEl.addEventListener('change', save);
 apiBaseEl.addEventListener('change', save);
 for (const el of Object.values(platformEls)) {
   if (el) el.addEventListener('change', save);
 }
+// Ask for the widget's host while the click still counts as a user gesture
+for (const [key, el] of Object.entries(embedEls)) {
+  el.addEventListener('change', () => {
+    if (!el.checked) {
+      save();
+      return;
+    }
+    chrome.permissions.request({ origins: EMBED_ORIGINS[key] }, (granted) => {
+      el.checked = !!granted;
+      save();
+    });
+  });
+}
+shieldEnabledEl.addEventListener('change', save);
+shieldModeEl.addEventListener('change', save);
+shieldPendingEl.addEventListener('change', save);
+for (const el of Object.values(thresholdEls)) el.addEventListener('change', save);
+
+// Score cache (owned by the background worker)
+function refreshCacheStats() {
+  chrome.runtime.sendMessage({ action: 'cache-stats' }, (r) => {
+    if (chrome.runtime.lastError || !r) return;
+    cacheStatsEl.textContent = i18n(r.entries === 1 ? 'optionsCacheStatsOne' : 'optionsCacheStatsMany', r.entries);
+  });
+}
+
+clearCacheBtn.addEventListener('click', () => {
+  clearCacheBtn.disabled = true;
+  chrome.runtime.sendMessage({ action: 'cache-clear' }, () => {
+    clearCacheBtn.disabled = false;
+    refreshCacheStats();
+  });
+});
+
+refreshCacheStats();
+
+// ============================================================
+// Feedback samples (outbox owned by the background worker)
+// ============================================================
+
+const feedbackStatsEl = document.getElementById('feedbackStats');
+const exportFeedbackBtn = document.getElementById('exportFeedback');
+const clearFeedbackBtn = document.getElementById('clearFeedback');
+
+function renderFeedbackStats(outbox) {
+  exportFeedbackBtn.disabled = outbox.length === 0;
+  clearFeedbackBtn.disabled = outbox.length === 0;
+  if (outbox.length === 0) {
+    feedbackStatsEl.textContent = i18n('optionsFeedbackEmpty');
+    return;
+  }
+  const gaps = outbox.filter(f => f.kind === 'gap').length;
+  const unsent = outbox.filter(f => !f.sentAt).length;
+  feedbackStatsEl.textContent = i18n('optionsFeedbackStats', outbox.length, gaps, outbox.length - gaps, unsent);
+}
+
+chrome.storage.local.get(['feedbackOutbox'], ({ feedbackOutbox = [] }) => renderFeedbackStats(feedbackOutbox));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.feedbackOutbox) renderFeedbackStats(changes.feedbackOutbox.newValue || []);
+});
+
+// One sample per line, ready for the training pipeline
+exportFeedbackBtn.addEventListener('click', () => {
+  chrome.storage.local.get(['feedbackOutbox'], ({ feedbackOutbox = [] }) => {
+    const jsonl = feedbackOutbox.map(f => JSON.stringify(f)).join('\n') + '\n';
+    const url = URL.createObjectURL(new Blob([jsonl], { type: 'application/x-ndjson' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ragecheck-feedback-${new Date().toISOString().slice(0, 10)}.jsonl`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+});
+
+clearFeedbackBtn.addEventListener('click', () => {
+  if (!confirm(i18n('optionsClearFeedbackConfirm'))) return;
+  chrome.runtime.sendMessage({ action: 'feedback-clear' });
+});
+
+// ============================================================
+// What we send: detection reports (outbox owned by the background worker)
+// ============================================================
+
+const diagnosticStatsEl = document.getElementById('diagnosticStats');
+const diagnosticListEl = document.getElementById('diagnosticList');
+const showDiagnosticsBtn = document.getElementById('showDiagnostics');
+const purgeDiagnosticsBtn = document.getElementById('purgeDiagnostics');
+
+function diagnosticState(d) {
+  if (d.sentAt) return ['sent', i18n('optionsReportSent', new Date(d.sentAt).toLocaleString())];
+  if (d.rejected) return ['rejected', i18n('optionsReportRejected', d.lastStatus)];
+  if (d.attempts > 0) {
+    return ['queued', i18n('optionsReportRetrying', d.attempts, new Date(d.nextAttemptAt).toLocaleTimeString())];
+  }
+  return ['queued', i18n('optionsReportQueued')];
+}
+
+function renderDiagnostics(outbox) {
+  purgeDiagnosticsBtn.disabled = outbox.length === 0;
+  showDiagnosticsBtn.disabled = outbox.length === 0;
+  if (outbox.length === 0) {
+    diagnosticStatsEl.textContent = i18n('optionsDiagnosticsEmpty');
+    diagnosticListEl.hidden = true;
+    showDiagnosticsBtn.setAttribute('aria-expanded', 'false');
+    showDiagnosticsBtn.textContent = i18n('optionsShowReports');
+    return;
+  }
+  const sent = outbox.filter(d => d.sentAt).length;
+  diagnosticStatsEl.textContent = i18n('optionsDiagnosticsStats', outbox.length - sent, sent);
+
+  // Newest first; each payload is the report object as it goes into /api/diagnostics
+  diagnosticListEl.textContent = '';
+  for (const d of [...outbox].reverse()) {
+    const row = document.createElement('div');
+    row.className = 'diagnostic-row';
+
+    const head = document.createElement('div');
+    head.className = 'diagnostic-head';
+    const when = document.createElement('span');
+    when.textContent = new Date(d.createdAt).toLocaleString();
+    const [stateClass, stateText] = diagnosticState(d);
+    const state = document.createElement('span');
+    state.className = `diagnostic-state ${stateClass}`;
+    state.textContent = stateText;
+    head.append(when, state);
+
+    const payload = document.createElement('div');
+    payload.className = 'diagnostic-payload';
+    payload.textContent = JSON.stringify(d.report, null, 2);
+
+    row.append(head, payload);
+    diagnosticListEl.appendChild(row);
+  }
+}
+
+chrome.storage.local.get(['diagnosticOutbox'], ({ diagnosticOutbox = [] }) => renderDiagnostics(diagnosticOutbox));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.diagnosticOutbox) renderDiagnostics(changes.diagnosticOutbox.newValue || []);
+});
+
+showDiagnosticsBtn.addEventListener('click', () => {
+  const open = diagnosticListEl.hidden;
+  diagnosticListEl.hidden = !open;
+  showDiagnosticsBtn.setAttribute('aria-expanded', String(open));
+  showDiagnosticsBtn.textContent = i18n(open ? 'optionsHideReports' : 'optionsShowReports');
+});
+
+purgeDiagnosticsBtn.addEventListener('click', () => {
+  if (!confirm(i18n('optionsPurgeConfirm'))) return;
+  chrome.runtime.sendMessage({ action: 'diagnostics-purge' });
+});
+
+// ============================================================
+// Custom sites (adapters built with the selector picker)
+// ============================================================
+
+const adapterListEl = document.getElementById('adapterList');
+const adaptersEmptyEl = document.getElementById('adaptersEmpty');
+
+const ADAPTER_FIELDS = [
+  ['postSelector', 'adapterFieldPost', true],
+  ['contentSelector', 'adapterFieldText', false],
+  ['actionBarSelector', 'adapterFieldActionBar', false]
+];
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function hostOrigins(host) {
+  return [`https://${host}/*`];
+}
+
+function renderAdapter(id, adapter) {
+  const card = document.createElement('div');
+  card.className = 'adapter';
+
+  const header = document.createElement('div');
+  header.className = 'adapter-header';
+  const name = document.createElement('div');
+  name.className = 'option-label';
+  name.textContent = adapter.name;
+  const host = document.createElement('div');
+  host.className = 'option-desc';
+  host.textContent = adapter.host;
+  header.append(name, host);
+  card.appendChild(header);
+
+  const inputs = {};
+  for (const [key, labelKey, required] of ADAPTER_FIELDS) {
+    const row = document.createElement('label');
+    row.className = 'adapter-field';
+    const span = document.createElement('span');
+    span.textContent = i18n(labelKey);
+    const input = document.createElement('input');
+    input.value = adapter[key] || '';
+    input.placeholder = i18n(required ? 'optionsFieldRequired' : 'optionsFieldOptional');
+    input.spellcheck = false;
+    input.addEventListener('input', () => {
+      const value = input.value.trim();
+      input.classList.toggle('invalid', (required && !value) || (!!value && !isValidSelector(value)));
+    });
+    row.append(span, input);
+    card.appendChild(row);
+    inputs[key] = input;
+  }
+
+  const result = document.createElement('div');
+  result.className = 'adapter-result';
+
+  const readAdapter = () => {
+    const edited = { ...adapter };
+    for (const [key] of ADAPTER_FIELDS) edited[key] = inputs[key].value.trim() || null;
+    edited.detect = edited.postSelector;
+    return edited;
+  };
+
+  const showResult = (text, isError) => {
+    result.textContent = text;
+    result.className = 'adapter-result' + (isError ? ' error' : '');
+  };
+
+  const actions = document.createElement('div');
+  actions.className = 'adapter-actions';
+
+  const button = (label, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+    return btn;
+  };
+
+  button(i18n('optionsSave'), () => {
+    if (Object.values(inputs).some(i => i.classList.contains('invalid'))) {
+      showResult(i18n('optionsFixSelectors'), true);
+      return;
+    }
+    chrome.storage.sync.get(['customAdapters'], ({ customAdapters = {} }) => {
+      customAdapters[id] = readAdapter();
+      chrome.storage.sync.set({ customAdapters }, () => showResult(i18n('optionsAdapterSaved'), false));
+    });
+  });
+
+  button(i18n('optionsTest'), () => {
+    showResult(i18n('optionsTesting'), false);
+    chrome.runtime.sendMessage({ action: 'test-adapter', adapter: readAdapter() }, (r) => {
+      if (chrome.runtime.lastError || !r) {
+        showResult(i18n('optionsTestFailed'), true);
+      } else if (r.error) {
+        showResult(r.error, true);
+      } else {
+        const counts = i18n('adapterTestCounts', r.posts, r.withText, r.withActionBar);
+        const sample = r.sample ? ' ' + i18n('optionsTestSample', r.sample) : '';
+        showResult(counts + sample, r.posts === 0);
+      }
+    });
+  });
+
+  // Without host access the adapter only runs after "Scan page" in the popup
+  const grantBtn = button(i18n('optionsRunAutomatically'), () => {
+    chrome.permissions.request({ origins: hostOrigins(adapter.host) }, (granted) => {
+      grantBtn.hidden = granted;
+    });
+  });
+  chrome.permissions.contains({ origins: hostOrigins(adapter.host) }, (has) => {
+    grantBtn.hidden = has;
+  });
+
+  button(i18n('optionsDelete'), () => {
+    if (!confirm(i18n('optionsDeleteAdapterConfirm', adapter.host))) return;
+    chrome.storage.sync.get(['customAdapters'], ({ customAdapters = {} }) => {
+      delete customAdapters[id];
+      chrome.storage.sync.set({ customAdapters });
+    });
+  });
+
+  card.append(actions, result);
+  return card;
+}
+
+function loadAdapters() {
+  chrome.storage.sync.get(['customAdapters'], ({ customAdapters = {} }) => {
+    const entries = Object.entries(customAdapters).sort((a, b) => a[1].host.localeCompare(b[1].host));
+    adapterListEl.textContent = '';
+    adaptersEmptyEl.hidden = entries.length > 0;
+    for (const [id, adapter] of entries) adapterListEl.appendChild(renderAdapter(id, adapter));
+  });
+}
+
+// Re-render when the picker saves a new site; edits made here also land here,
+// so only re-render when the set of sites changes to keep unsaved input intact
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.customAdapters) return;
+  const before = Object.keys(changes.customAdapters.oldValue || {}).sort().join();
+  const after = Object.keys(changes.customAdapters.newValue || {}).sort().join();
+  if (before !== after) loadAdapters();
+});
+
+loadAdapters();
+
+// ============================================================
+// Author reputation (owned by the background worker)
+// ============================================================
+
+const authorListEl = document.getElementById('authorList');
+const authorEmptyEl = document.getElementById('authorEmpty');
+const authorSearchEl = document.getElementById('authorSearch');
+const AUTHOR_LIST_MAX = 200;
+
+let authors = [];
+
+function renderAuthors() {
+  const q = authorSearchEl.value.trim().toLowerCase();
+  const shown = authors
+    .filter(a => !q || a.author.toLowerCase().includes(q) || a.platform.toLowerCase().includes(q))
+    .sort((a, b) => b.avg - a.avg || b.posts - a.posts);
+
+  authorListEl.textContent = '';
+  authorEmptyEl.hidden = authors.length > 0;
+  authorListEl.hidden = shown.length === 0;
+
+  for (const a of shown.slice(0, AUTHOR_LIST_MAX)) {
+    const row = document.createElement('div');
+    row.className = 'author-row';
+
+    const avg = document.createElement('span');
+    avg.className = 'author-avg' + (a.offender ? ' offender' : '');
+    avg.textContent = a.avg;
+    avg.title = i18n('optionsAuthorAvgTitle');
+
+    const name = document.createElement('span');
+    name.className = 'author-name';
+    name.textContent = a.author;
+
+    const meta = document.createElement('span');
+    meta.className = 'author-meta';
+    meta.textContent = i18n(a.posts === 1 ? 'optionsAuthorMetaOne' : 'optionsAuthorMetaMany',
+      a.platform, a.posts, new Date(a.lastSeen).toLocaleDateString());
+
+    const reset = document.createElement('button');
+    reset.className = 'btn';
+    reset.textContent = i18n('optionsReset');
+    reset.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'author-reset', key: a.key }, loadAuthors);
+    });
+
+    row.append(avg, name, meta, reset);
+    authorListEl.appendChild(row);
+  }
+}
+
+function loadAuthors() {
+  chrome.runtime.sendMessage({ action: 'author-list' }, (r) => {
+    if (chrome.runtime.lastError || !r || r.error) return;
+    authors = r.authors;
+    renderAuthors();
+  });
+}
+
+document.getElementById('authorResetAll').addEventListener('click', () => {
+  if (!confirm(i18n('optionsResetAuthorsConfirm'))) return;
+  chrome.runtime.sendMessage({ action: 'author-reset', all: true }, loadAuthors);
+});
+
+authorSearchEl.addEventListener('input', renderAuthors);
+
+loadAuthors();
+
+// ============================================================
+// Keyboard shortcuts (read-only here; Chrome owns the bindings)
+// ============================================================
+
+const shortcutListEl = document.getElementById('shortcutList');
+
+function loadShortcuts() {
+  chrome.commands.getAll((commands) => {
+    shortcutListEl.textContent = '';
+    for (const command of commands) {
+      if (!command.description) continue;
+      const row = document.createElement('div');
+      row.className = 'option-row';
+      const label = document.createElement('div');
+      label.className = 'option-label';
+      label.textContent = command.description;
+      const key = document.createElement('span');
+      key.className = 'shortcut-key' + (command.shortcut ? '' : ' unset');
+      key.textContent = command.shortcut || i18n('optionsShortcutNotSet');
+      row.append(label, key);
+      shortcutListEl.appendChild(row);
+    }
+  });
+}
+
+document.getElementById('editShortcuts').addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// Bindings change on another page; pick them up when the user comes back
+window.addEventListener('focus', loadShortcuts);
+
+loadShortcuts();
@@ -1,6 +1,10 @@
 const DEFAULT_API_BASE = 'https://ragecheck.com';
 
+localizePage();
+
 const urlInput = document.getElementById('url');
+const textInput = document.getElementById('textInput');
+const modeTabs = document.querySelectorAll('.mode-tab');
 const analyzeBtn = document.getElementById('analyze');
 const scanBtn = document.getElementById('scanBtn');
 const loadingDiv = document.getElementById('loading');
@@ -12,16 +16,29 @@ const resultLinks = document.getElementById('resultLinks');
 const fullAnalysisLink = document.getElementById('fullAnalysis');
 const retryBtn = document.getElementById('retry');
 const openOptions = document.getElementById('openOptions');
+const openHistory = document.getElementById('openHistory');
+const openDiagnostics = document.getElementById('openDiagnostics');
 const tierStatus = document.getElementById('tierStatus');
 const tierText = document.getElementById('tierText');
 const scanResult = document.getElementById('scanResult');
+const trendEl = document.getElementById('trend');
+const trendBars = document.getElementById('trendBars');
+const trendLabels = document.getElementById('trendLabels');
+const trendSummary = document.getElementById('trendSummary');
+const trendNote = document.getElementById('trendNote');
+const bulkPanel = document.getElementById('bulkPanel');
+const bulkHead = document.getElementById('bulkHead');
+const bulkRows = document.getElementById('bulkRows');
+const bulkProgress = document.getElementById('bulkProgress');
+const bulkPaused = document.getElementById('bulkPaused');
+const bulkStop = document.getElementById('bulkStop');
+const bulkInTab = document.getElementById('bulkInTab');
+const copyCardBtn = document.getElementById('copyCard');
+const downloadCardBtn = document.getElementById('downloadCard');
 
-const SIGNAL_LABELS = {
-  arousal: 'Emotional Arousal',
-  enemy: 'Enemy Construction',
-  moral: 'Moral Outrage',
-  urgency: 'False Urgency',
-  tribal: 'Tribal Signaling'
+const PLATFORM_NAMES = {
+  twitter: 'X', bluesky: 'Bluesky', facebook: 'Facebook', reddit: 'Reddit', threads: 'Threads',
+  hackernews: 'Hacker News', youtube: 'YouTube', stackoverflow: 'Stack Overflow'
 };
 
 let apiBase = DEFAULT_API_BASE;
@@ -49,30 +66,135 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
 
     if (response.tier === 1 || response.tier === 1.5) {
       tierStatus.className = 'tier-status show tier-1';
-      tierText.textContent = `Active on ${response.platform || response.hostname}`;
+      tierText.textContent = i18n('popupTierActive', response.platform || response.hostname);
     } else if (response.tier === 2) {
       tierStatus.className = 'tier-status show tier-2';
-      tierText.textContent = `Generic detection on ${response.hostname}`;
+      tierText.textContent = i18n('popupTierGeneric', response.hostname);
     } else {
       tierStatus.className = 'tier-status show tier-unknown';
-      tierText.textContent = `Not detected — try "Scan page"`;
+      tierText.textContent = i18n('popupTierNone');
     }
   });
 });
 
+// Weekly exposure trend (dot scores aggregated by the background worker)
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+chrome.storage.local.get(['exposureStats'], ({ exposureStats = {} }) => {
+  const days = [];
+  const byPlatform = {};
+  for (let i = 6; i >= 0; i--) {
+    const ts = Date.now() - i * 24 * 60 * 60 * 1000;
+    const day = { ts, seen: 0, borderline: 0, rage: 0 };
+    for (const [platform, c] of Object.entries(exposureStats[dayKey(ts)] || {})) {
+      day.seen += c.seen;
+      day.borderline += c.borderline;
+      day.rage += c.rage;
+      byPlatform[platform] = byPlatform[platform] || { seen: 0, hot: 0 };
+      byPlatform[platform].seen += c.seen;
+      byPlatform[platform].hot += c.borderline + c.rage;
+    }
+    days.push(day);
+  }
+
+  const seen = days.reduce((n, d) => n + d.seen, 0);
+  if (seen === 0) return;
+
+  const hot = days.reduce((n, d) => n + d.borderline + d.rage, 0);
+  trendSummary.textContent = i18n('popupTrendSummary', Math.round((hot / seen) * 100), seen);
+
+  for (const d of days) {
+    const bar = document.createElement('div');
+    bar.className = 'trend-day';
+    bar.title = i18n('popupTrendDay', new Date(d.ts).toLocaleDateString(), d.rage, d.borderline, d.seen);
+    for (const band of ['rage', 'borderline']) {
+      const seg = document.createElement('div');
+      seg.className = `trend-seg ${band}`;
+      seg.style.height = d.seen ? `${(d[band] / d.seen) * 100}%` : '0';
+      bar.appendChild(seg);
+    }
+    trendBars.appendChild(bar);
+
+    const label = document.createElement('span');
+    label.textContent = new Date(d.ts).toLocaleDateString(undefined, { weekday: 'narrow' });
+    trendLabels.appendChild(label);
+  }
+
+  const [topPlatform, top] = Object.entries(byPlatform).sort((a, b) => b[1].seen - a[1].seen)[0];
+  trendNote.textContent = i18n('popupTrendNote', PLATFORM_NAMES[topPlatform] || topPlatform,
+    Math.round((top.hot / top.seen) * 100));
+  trendEl.className = 'trend show';
+});
+
 // Open options
 openOptions.addEventListener('click', (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
 });
 
-// Analyze URL
+// Open check history
+openHistory.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+});
+
+// Open site diagnostics for this tab, next to it. The click grants activeTab, which
+// lets the background inject into the page if the content script isn't there.
+openDiagnostics.addEventListener('click', async (e) => {
+  e.preventDefault();
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`diagnostics/diagnostics.html?tab=${tab.id}`),
+    index: tab.index + 1,
+    openerTabId: tab.id
+  });
+});
+
+// ============================================================
+// Input modes: one URL, raw text, or a bulk list (one URL or snippet per line)
+// ============================================================
+
+const MODE_PLACEHOLDERS = { text: 'popupTextPlaceholder', bulk: 'popupBulkPlaceholder' };
+// Opened as a full tab (popup.html?mode=bulk) so a long list survives the popup closing
+const inTab = new URLSearchParams(location.search).has('mode');
+
+let mode = 'url';
+
+function setMode(next) {
+  mode = next;
+  for (const tab of modeTabs) tab.setAttribute('aria-selected', String(tab.dataset.mode === mode));
+  urlInput.hidden = mode !== 'url';
+  textInput.hidden = mode === 'url';
+  if (mode !== 'url') textInput.placeholder = i18n(MODE_PLACEHOLDERS[mode]);
+  bulkInTab.hidden = mode !== 'bulk' || inTab;
+  if (!bulkRun) analyzeBtn.textContent = i18n(mode === 'bulk' ? 'popupBulkAnalyze' : 'popupAnalyze');
+  (mode === 'url' ? urlInput : textInput).focus();
+}
+
+for (const tab of modeTabs) {
+  tab.addEventListener('click', () => setMode(tab.dataset.mode));
+}
+
+bulkInTab.addEventListener('click', async (e) => {
+  e.preventDefault();
+  await chrome.storage.session.set({ bulkDraft: textInput.value });
+  chrome.tabs.create({ url: chrome.runtime.getURL('popup/popup.html?mode=bulk') });
+});
+
+// Analyze one URL or one piece of text
 async function runAnalysis() {
-  const url = urlInput.value.trim();
-  if (!url) return;
+  if (mode === 'bulk') return runBulk();
+
+  const url = mode === 'url' ? urlInput.value.trim() : null;
+  const text = mode === 'text' ? textInput.value.trim() : null;
+  if (!url && !text) return;
 
   analyzeBtn.disabled = true;
-  analyzeBtn.textContent = 'Analyzing...';
+  analyzeBtn.textContent = i18n('popupAnalyzingButton');
   loadingDiv.classList.add('show');
   resultDiv.className = 'result';
   signalsDiv.className = 'signals';
@@ -81,71 +203,90 @@ async function runAnalysis() {
   scanResult.className = 'scan-result';
 
   try {
-    const response = await fetch(`${apiBase}/api/analyze`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url, source: 'extension' })
-    });
+    const data = await chrome.runtime.sendMessage(url
+      ? { action: 'analyze', url, source: 'popup' }
+      : { action: 'analyze', text, source: 'popup' });
 
     loadingDiv.classList.remove('show');
 
-    if (response.status === 429) {
-      showError('Rate limited - please wait a moment and try again');
-      return;
-    }
-
-    const data = await response.json();
-
-    if (data.success) {
+    if (data.unsupported) {
+      showError(i18n('errorUnsupportedLanguage', languageName(data.lang)));
+    } else if (data.rateLimited) {
+      showError(i18n('popupRateLimited'));
+    } else if (data.offline) {
+      showError(i18n('errorConnection'));
+    } else if (data.success) {
       const score = data.score;
       scoreEl.textContent = score;
 
       if (score >= 66) {
         resultDiv.className = 'result show high';
-        labelEl.textContent = 'High Rage - Likely manipulative';
+        labelEl.textContent = i18n('popupLevelHigh');
       } else if (score >= 33) {
         resultDiv.className = 'result show medium';
-        labelEl.textContent = 'Medium Rage - Some manipulation';
+        labelEl.textContent = i18n('popupLevelMedium');
       } else {
         resultDiv.className = 'result show low';
-        labelEl.textContent = 'Low Rage - Appears balanced';
+        labelEl.textContent = i18n('popupLevelLow');
       }
 
       if (data.signals && Object.keys(data.signals).length > 0) {
-        let html = '<div class="signals-title">Signal Breakdown</div>';
-        for (const [key, value] of Object.entries(data.signals)) {
-          const label = SIGNAL_LABELS[key] || key;
-          let cls = 'sv-low';
-          if (value >= 66) cls = 'sv-high';
-          else if (value >= 33) cls = 'sv-medium';
-          html += `
-            <div class="signal-row">
-              <span class="signal-name">${label}</span>
-              <div class="signal-track">
-                <div class="signal-value ${cls}" style="width:${value}%"></div>
-              </div>
-              <span class="signal-num">${value}</span>
-            </div>
-          `;
-        }
-        signalsDiv.innerHTML = html;
+        const title = document.createElement('div');
+        title.className = 'signals-title';
+        title.textContent = i18n('popupSignalBreakdown');
+        signalsDiv.replaceChildren(title, RageUI.createSignalList(data.signals));
         signalsDiv.className = 'signals show';
       }
 
-      fullAnalysisLink.href = `${apiBase}?url=${encodeURIComponent(url)}`;
+      // The site's full analysis takes a URL; pasted text has nowhere to link to
+      fullAnalysisLink.hidden = !url;
+      if (url) fullAnalysisLink.href = `${apiBase}?url=${encodeURIComponent(url)}`;
+      shareCard = { score, signals: data.signals, reasons: data.reasons, excerpt: text, url };
       resultLinks.className = 'result-links show';
     } else {
-      showError(data.error || 'Analysis failed');
+      showError(data.error || i18n('errorAnalysisFailed'));
     }
   } catch (err) {
     loadingDiv.classList.remove('show');
-    showError('Connection failed');
+    showError(i18n('errorConnection'));
   }
 
   analyzeBtn.disabled = false;
-  analyzeBtn.textContent = 'Analyze';
+  analyzeBtn.textContent = i18n('popupAnalyze');
+}
+
+// ============================================================
+// Share card for the single result
+// ============================================================
+
+let shareCard = null;
+
+function flashButton(btn, key) {
+  const original = btn.textContent;
+  btn.textContent = i18n(key);
+  setTimeout(() => { btn.textContent = original; }, 1500);
 }
 
+copyCardBtn.addEventListener('click', async () => {
+  if (!shareCard) return;
+  try {
+    // A promise keeps the click's user activation while the card is drawn
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': renderShareCard(shareCard) })]);
+    flashButton(copyCardBtn, 'shareCopied');
+  } catch (e) {
+    flashButton(copyCardBtn, 'shareCopyFailed');
+  }
+});
+
+downloadCardBtn.addEventListener('click', async () => {
+  if (!shareCard) return;
+  try {
+    download(shareCardFilename(shareCard.score), await renderShareCard(shareCard), 'image/png');
+  } catch (e) {
+    flashButton(downloadCardBtn, 'shareFailed');
+  }
+});
+
 function showError(message) {
   resultDiv.className = 'result show error';
   scoreEl.textContent = '!';
@@ -153,45 +294,364 @@ function showError(message) {
   retryBtn.className = 'retry-btn show';
 }
 
+// ============================================================
+// Bulk analysis
+// ============================================================
+
+const BULK_MAX_ITEMS = 200;
+const BULK_CONCURRENCY = 3;        // the background's token bucket still paces the actual requests
+const BULK_MAX_ATTEMPTS = 3;       // per item; a 429 counts as an attempt
+const BULK_DEFAULT_PAUSE = 30 * 1000;
+const BULK_URL = /^https?:\/\/\S+$/i;
+const BULK_SIGNALS = Object.keys(RageUI.SIGNAL_LABELS);
+
+// Sortable columns; value() is what the column sorts on, null sorts last either way
+const BULK_COLUMNS = [
+  { key: 'index', label: '#', num: true, value: item => item.index },
+  { key: 'item', label: i18n('popupBulkColItem'), value: item => item.value.toLowerCase() },
+  { key: 'score', label: i18n('popupBulkColScore'), num: true, value: item => item.score ?? null },
+  ...BULK_SIGNALS.map(key => ({
+    key, label: i18n(`signalShort_${key}`), title: RageUI.SIGNAL_LABELS[key], num: true,
+    value: item => item.signals?.[key] ?? null
+  }))
+];
+
+let bulkItems = [];
+let bulkRun = null;   // { queue, cancelled, pausedUntil } while a batch is running
+let bulkSort = { key: 'index', dir: 1 };
+
+renderBulkHead();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One item per non-empty line; duplicates are analyzed once
+function parseBulkInput(raw) {
+  const seen = new Set();
+  const items = [];
+  for (const line of raw.split(/\r?\n/)) {
+    const value = line.trim();
+    if (!value || seen.has(value)) continue;
+    seen.add(value);
+    items.push({ index: items.length + 1, value, isUrl: BULK_URL.test(value), status: 'queued', attempts: 0 });
+  }
+  return items;
+}
+
+async function runBulk() {
+  if (bulkRun) return;
+  const parsed = parseBulkInput(textInput.value);
+  if (parsed.length === 0) return;
+
+  bulkItems = parsed.slice(0, BULK_MAX_ITEMS);
+  const run = { queue: [...bulkItems], cancelled: false, pausedUntil: 0, dropped: parsed.length - bulkItems.length };
+  bulkRun = run;
+
+  resultDiv.className = 'result';
+  signalsDiv.className = 'signals';
+  resultLinks.className = 'result-links';
+  retryBtn.className = 'retry-btn';
+  document.body.classList.add('bulk');
+  bulkPanel.classList.add('show');
+  bulkStop.hidden = false;
+  analyzeBtn.disabled = true;
+  analyzeBtn.textContent = i18n('popupAnalyzingButton');
+
+  renderBulkTable();
+  const ticker = setInterval(() => renderBulkStatus(run), 1000);
+  await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, run.queue.length) }, () => bulkWorker(run)));
+  clearInterval(ticker);
+
+  bulkRun = null;
+  bulkStop.hidden = true;
+  renderBulkStatus(run);
+  analyzeBtn.disabled = false;
+  analyzeBtn.textContent = i18n(mode === 'bulk' ? 'popupBulkAnalyze' : 'popupAnalyze');
+}
+
+async function bulkWorker(run) {
+  while (!run.cancelled && run.queue.length > 0) {
+    // A 429 anywhere pauses every worker; wake up each second so Stop stays responsive
+    const wait = run.pausedUntil - Date.now();
+    if (wait > 0) {
+      await sleep(Math.min(wait, 1000));
+      continue;
+    }
+
+    const item = run.queue.shift();
+    item.status = 'running';
+    item.attempts++;
+    renderBulkTable();
+
+    let data;
+    try {
+      data = await chrome.runtime.sendMessage(item.isUrl
+        ? { action: 'analyze', url: item.value, source: 'bulk' }
+        : { action: 'analyze', text: item.value, source: 'bulk' });
+    } catch (e) {
+      data = { offline: true };
+    }
+
+    if (data?.rateLimited) {
+      run.pausedUntil = Math.max(run.pausedUntil, Date.now() + (data.retryAfter || BULK_DEFAULT_PAUSE));
+      if (item.attempts < BULK_MAX_ATTEMPTS) {
+        item.status = 'queued';
+        run.queue.unshift(item);
+      } else {
+        item.status = 'error';
+        item.error = i18n('popupRateLimited');
+      }
+    } else if (data?.success) {
+      item.status = 'done';
+      item.score = data.score;
+      item.signals = data.signals || {};
+    } else if (data?.unsupported) {
+      item.status = 'unsupported';
+      item.lang = data.lang;
+    } else {
+      item.status = 'error';
+      item.error = data?.offline ? i18n('errorConnection') : (data?.error || i18n('errorAnalysisFailed'));
+    }
+    renderBulkTable();
+    renderBulkStatus(run);
+  }
+}
+
+function renderBulkStatus(run) {
+  const finished = bulkItems.filter(item => !['queued', 'running'].includes(item.status)).length;
+  let progress = i18n('popupBulkProgress', finished, bulkItems.length);
+  if (run.dropped > 0) progress += ` ${i18n('popupBulkDropped', run.dropped, BULK_MAX_ITEMS)}`;
+  if (run.cancelled) progress += ` ${i18n('popupBulkStopped')}`;
+  bulkProgress.textContent = progress;
+
+  const wait = run.pausedUntil - Date.now();
+  bulkPaused.textContent = bulkRun === run && wait > 0
+    ? i18n('popupBulkPaused', Math.ceil(wait / 1000))
+    : '';
+}
+
+// Built once; sorting only moves aria-sort so a focused header keeps focus
+function renderBulkHead() {
+  for (const col of BULK_COLUMNS) {
+    const th = document.createElement('th');
+    th.textContent = col.label;
+    th.dataset.key = col.key;
+    if (col.title) th.title = col.title;
+    if (col.num) th.className = 'num';
+    th.tabIndex = 0;
+    const sortBy = () => {
+      // Numbers start high-to-low, since the worst items are what moderators look for first
+      const dir = bulkSort.key === col.key ? -bulkSort.dir : (col.num && col.key !== 'index' ? -1 : 1);
+      bulkSort = { key: col.key, dir };
+      renderBulkTable();
+    };
+    th.addEventListener('click', sortBy);
+    th.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        sortBy();
+      }
+    });
+    bulkHead.appendChild(th);
+  }
+}
+
+function sortedBulkItems() {
+  const col = BULK_COLUMNS.find(c => c.key === bulkSort.key);
+  return [...bulkItems].sort((a, b) => {
+    const va = col.value(a);
+    const vb = col.value(b);
+    if (va === null || vb === null) return (va === null) - (vb === null) || a.index - b.index;
+    if (va === vb) return a.index - b.index;
+    return (va < vb ? -1 : 1) * bulkSort.dir;
+  });
+}
+
+function bulkCell(text, className, title) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  if (title) td.title = title;
+  return td;
+}
+
+function renderBulkTable() {
+  for (const th of bulkHead.children) {
+    th.setAttribute('aria-sort', th.dataset.key !== bulkSort.key ? 'none' : bulkSort.dir > 0 ? 'ascending' : 'descending');
+  }
+  bulkRows.replaceChildren();
+
+  for (const item of sortedBulkItems()) {
+    const tr = document.createElement('tr');
+    tr.appendChild(bulkCell(String(item.index), 'num bulk-muted'));
+
+    const itemCell = bulkCell('', 'bulk-item', item.value);
+    if (item.isUrl) {
+      const a = document.createElement('a');
+      a.href = item.value;
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.textContent = item.value;
+      itemCell.appendChild(a);
+    } else {
+      itemCell.textContent = item.value;
+    }
+    tr.appendChild(itemCell);
+
+    if (item.status === 'done') {
+      const level = RageUI.getLevel(item.score);
+      tr.appendChild(bulkCell(String(item.score), `num bulk-score ${level.key}`, level.text));
+      for (const key of BULK_SIGNALS) {
+        const value = item.signals[key];
+        tr.appendChild(value === undefined
+          ? bulkCell('', 'num')
+          : bulkCell(String(Math.round(value)), `num bulk-sig ${RageUI.getLevel(value).key}`));
+      }
+    } else {
+      const [text, className, title] = {
+        queued: ['', 'bulk-muted', i18n(bulkRun ? 'popupBulkQueued' : 'popupBulkSkipped')],
+        running: ['…', 'bulk-muted', i18n('popupAnalyzingButton')],
+        unsupported: [i18n('unsupportedLabel'), 'bulk-muted', i18n('errorUnsupportedLanguage', languageName(item.lang))],
+        error: ['!', 'bulk-error', item.error]
+      }[item.status];
+      tr.appendChild(bulkCell(text, `num ${className}`, title));
+      const rest = bulkCell('');
+      rest.colSpan = BULK_SIGNALS.length;
+      tr.appendChild(rest);
+    }
+    bulkRows.appendChild(tr);
+  }
+}
+
+// Rows in the table's current order, with the text the table shows
+function bulkExportRows() {
+  return sortedBulkItems().map(item => ({
+    index: item.index,
+    item: item.value,
+    status: item.status === 'queued' ? 'skipped' : item.status,
+    score: item.status === 'done' ? item.score : null,
+    signals: BULK_SIGNALS.map(key => item.signals?.[key] ?? null),
+    note: item.status === 'unsupported' ? languageName(item.lang) : (item.error || null)
+  }));
+}
+
+// Text cells starting with = + - @ (or a tab/CR) would run as formulas in a spreadsheet;
+// the leading ' makes them plain text. Post text is untrusted, so every text cell gets it.
+function csvField(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function bulkCsv() {
+  const lines = [['index', 'item', 'status', 'score', ...BULK_SIGNALS, 'note'].join(',')];
+  for (const r of bulkExportRows()) {
+    lines.push([r.index, r.item, r.status, r.score, ...r.signals, r.note].map(csvField).join(','));
+  }
+  return lines.join('\n');
+}
+
+// Pipes would split the cell and newlines would end the row
+function markdownCell(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+function bulkMarkdown() {
+  const header = BULK_COLUMNS.map(col => col.title || col.label);
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `| ${BULK_COLUMNS.map(col => (col.num ? '---:' : '---')).join(' | ')} |`
+  ];
+  for (const r of bulkExportRows()) {
+    const score = r.score ?? (r.status === 'unsupported' ? i18n('unsupportedLabel') : r.status === 'error' ? '!' : '');
+    lines.push(`| ${[r.index, r.item, score, ...r.signals].map(markdownCell).join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+bulkStop.addEventListener('click', () => {
+  if (!bulkRun) return;
+  bulkRun.cancelled = true;
+  renderBulkStatus(bulkRun);
+});
+
+document.getElementById('bulkExport').addEventListener('click', () => {
+  if (bulkItems.length === 0) return;
+  download(`ragecheck-bulk-${new Date().toISOString().slice(0, 10)}.csv`, bulkCsv(), 'text/csv');
+});
+
+document.getElementById('bulkCopy').addEventListener('click', async (e) => {
+  if (bulkItems.length === 0) return;
+  const btn = e.currentTarget;
+  try {
+    await navigator.clipboard.writeText(bulkMarkdown());
+    btn.textContent = i18n('popupBulkCopied');
+  } catch (err) {
+    btn.textContent = i18n('popupBulkCopyFailed');
+  }
+  setTimeout(() => { btn.textContent = i18n('popupBulkCopy'); }, 1500);
+});
+
 // Scan page for posts (Tier 2)
 scanBtn.addEventListener('click', async () => {
   scanBtn.disabled = true;
-  scanBtn.textContent = 'Scanning...';
+  scanBtn.textContent = i18n('popupScanning');
   scanResult.className = 'scan-result';
 
   chrome.runtime.sendMessage({ action: 'scan-from-popup' }, (response) => {
     scanBtn.disabled = false;
-    scanBtn.textContent = 'Scan page';
+    scanBtn.textContent = i18n('popupScanPage');
 
     if (chrome.runtime.lastError) {
       scanResult.className = 'scan-result show scan-fail';
-      scanResult.textContent = 'Could not access this page. Try reloading.';
+      scanResult.textContent = i18n('popupScanNoAccess');
       return;
     }
 
     if (!response || response.error) {
       scanResult.className = 'scan-result show scan-fail';
       scanResult.textContent = response?.error === 'injection_failed'
-        ? 'Cannot scan this page (restricted by browser).'
-        : 'Scan failed. Try a different page.';
+        ? i18n('popupScanRestricted')
+        : i18n('popupScanFailed');
       return;
     }
 
     if (response.count > 0) {
-      const tierLabel = response.tier === 1.5 ? 'schema.org' : 'heuristic';
       scanResult.className = 'scan-result show scan-success';
-      scanResult.textContent = `Found ${response.count} posts (${tierLabel} detection). Check buttons added.`;
+      scanResult.textContent = i18n(response.tier === 1.5 ? 'popupScanFoundSchema' : 'popupScanFoundHeuristic', response.count);
 
       tierStatus.className = 'tier-status show tier-2';
-      tierText.textContent = `Scanning active`;
+      tierText.textContent = i18n('popupTierScanning');
     } else {
       scanResult.className = 'scan-result show scan-fail';
-      const conf = response.confidence ? ` (confidence: ${response.confidence})` : '';
-      scanResult.textContent = `No posts detected on this page${conf}. You can still analyze URLs above.`;
+      scanResult.textContent = response.confidence
+        ? i18n('popupScanNoneConfidence', response.confidence)
+        : i18n('popupScanNone');
     }
   });
 });
 
+// Selector picker: the user clicks a post, its text and its action bar on the page
+document.getElementById('teachSite').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.sendMessage({ action: 'start-picker-from-popup' }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      scanResult.className = 'scan-result show scan-fail';
+      scanResult.textContent = i18n('popupPickerRestricted');
+      return;
+    }
+    window.close(); // get out of the way so the page can be clicked
+  });
+});
+
 analyzeBtn.addEventListener('click', runAnalysis);
 
 retryBtn.addEventListener('click', () => {
@@ -202,3 +662,17 @@ retryBtn.addEventListener('click', () => {
 urlInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') runAnalysis();
 });
+
+// Enter adds a line in the textarea; Ctrl/Cmd+Enter runs
+textInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) runAnalysis();
+});
+
+if (inTab) {
+  document.body.classList.add('bulk');
+  chrome.storage.session.get(['bulkDraft'], ({ bulkDraft }) => {
+    if (bulkDraft) textInput.value = bulkDraft;
+    chrome.storage.session.remove('bulkDraft');
+  });
+  setMode(new URLSearchParams(location.search).get('mode') || 'bulk');
+}
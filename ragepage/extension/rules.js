@@ -0,0 +1,147 @@
+// RageCheck Rule Engine
+// Lexicon + style heuristics for the five manipulation signals. No network, <1ms per post.
+// Loaded by the service worker via importScripts(); also require()-able from Node.
+
+const RULE_SIGNALS = ['arousal', 'enemy', 'moral', 'urgency', 'tribal'];
+
+// The lexicon is English; anything else would score as falsely calm
+const RULE_LANGUAGES = ['en'];
+
+// Each term is matched case-insensitively on word boundaries. Weight ~= how strongly
+// a single hit pushes the signal (1 = mild, 3 = near-certain on its own).
+const RULE_LEXICON = {
+  arousal: [
+    ['outrageous', 2], ['insane', 2], ['unbelievable', 2], ['shocking', 2], ['furious', 2],
+    ['infuriating', 3], ['horrifying', 2], ['terrifying', 2], ['sickening', 2], ['enraging', 3],
+    ['absolutely', 1], ['literally', 1], ['unhinged', 2], ['meltdown', 2], ['destroyed', 2],
+    ['slams', 2], ['blasts', 2], ['rips', 1], ['eviscerates', 3], ['explodes', 1],
+    ['can\'t believe', 2], ['losing my mind', 2], ['makes my blood boil', 3], ['i\'m so angry', 3]
+  ],
+  enemy: [
+    ['scum', 3], ['traitors', 3], ['traitor', 2], ['enemy', 2], ['enemies', 2],
+    ['thugs', 2], ['invaders', 3], ['elites', 2], ['globalists', 3], ['fascists', 3],
+    ['communists', 2], ['marxists', 2], ['libtards', 3], ['snowflakes', 2], ['groomers', 3],
+    ['radical left', 3], ['far right', 2], ['far left', 2], ['woke mob', 3], ['these people', 2],
+    ['destroying our', 3], ['war on', 2], ['they want to', 2], ['they hate', 3], ['out to get', 2]
+  ],
+  moral: [
+    ['disgusting', 2], ['disgrace', 2], ['disgraceful', 2], ['shameful', 2], ['shame on', 2],
+    ['evil', 2], ['immoral', 2], ['vile', 2], ['despicable', 3], ['depraved', 3],
+    ['unforgivable', 2], ['corrupt', 2], ['criminal', 1], ['betrayal', 2], ['how dare', 3],
+    ['should be ashamed', 3], ['should be in jail', 3], ['lock them up', 3], ['no decency', 2], ['sick people', 2]
+  ],
+  urgency: [
+    ['breaking', 2], ['urgent', 2], ['act now', 3], ['right now', 1], ['before it\'s too late', 3],
+    ['before they delete', 3], ['share before', 3], ['they don\'t want you to know', 3], ['wake up', 2], ['spread the word', 2],
+    ['must watch', 2], ['must read', 1], ['last chance', 2], ['retweet', 1], ['share this', 2],
+    ['happening now', 2], ['time is running out', 3], ['don\'t let them', 2]
+  ],
+  tribal: [
+    ['real americans', 3], ['true patriots', 3], ['patriots', 1], ['our country', 2], ['our people', 2],
+    ['we the people', 2], ['sheeple', 3], ['sheep', 1], ['normies', 2], ['us vs them', 3],
+    ['our side', 2], ['their side', 2], ['you\'re either with us', 3], ['real men', 2], ['true conservatives', 2],
+    ['true progressives', 2], ['people like us', 2], ['one of us', 1], ['our values', 1], ['take back', 2]
+  ]
+};
+
+const RULE_REASON_LABELS = {
+  arousal: 'Charged language',
+  enemy: 'Us-vs-them framing',
+  moral: 'Moral condemnation',
+  urgency: 'Pressure to react now',
+  tribal: 'Group identity appeal'
+};
+
+// Localized in the extension; English when require()d from Node
+function ruleReasonLabel(signal) {
+  const localized = typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getMessage(`ruleReason_${signal}`) : '';
+  return localized || RULE_REASON_LABELS[signal];
+}
+
+function escapeRuleTerm(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile once: one regex per term, word-bounded, apostrophes normalized
+const RULE_MATCHERS = {};
+for (const signal of RULE_SIGNALS) {
+  RULE_MATCHERS[signal] = RULE_LEXICON[signal].map(([term, weight]) => ({
+    term,
+    weight,
+    re: new RegExp(`\\b${escapeRuleTerm(term)}\\b`, 'gi')
+  }));
+}
+
+// Saturating curve: 1 weighted hit ~30, 3 hits ~66, 6+ hits ~90
+function saturate(hits) {
+  return Math.round(100 * (1 - Math.exp(-hits / 2.6)));
+}
+
+function styleSignals(text) {
+  const words = text.match(/\b[A-Za-z]{3,}\b/g) || [];
+  const capsWords = words.filter(w => w === w.toUpperCase()).length;
+  const exclaims = (text.match(/!/g) || []).length;
+  const angryEmoji = (text.match(/[\u{1F620}\u{1F621}\u{1F92C}\u{1F4A2}\u{1F92E}]/gu) || []).length;
+
+  let arousal = 0;
+  // Shouting only counts when it's sustained, not one acronym
+  if (words.length >= 4 && capsWords >= 2 && capsWords / words.length > 0.2) arousal += 2;
+  if (exclaims >= 2) arousal += Math.min(exclaims, 6) * 0.5;
+  arousal += angryEmoji;
+
+  let urgency = 0;
+  if (/\b(BREAKING|URGENT|ALERT)\b/.test(text)) urgency += 1;
+
+  return { arousal, urgency };
+}
+
+const RULE_MAX_SPANS = 50;
+
+// Spans are character offsets into the text as given: the quote normalization
+// below is one-for-one, so offsets line up with the caller's string.
+function scoreText(text) {
+  const normalized = (text || '').replace(/[‘’]/g, '\'').slice(0, 5000);
+  const hits = {};
+  const matched = {};
+  const spans = [];
+
+  for (const signal of RULE_SIGNALS) {
+    hits[signal] = 0;
+    matched[signal] = [];
+    for (const m of RULE_MATCHERS[signal]) {
+      const found = [...normalized.matchAll(m.re)];
+      if (found.length > 0) {
+        // Repeats of the same term add less than new terms
+        hits[signal] += m.weight * (1 + Math.log2(found.length) / 2);
+        matched[signal].push(m.term);
+        for (const f of found) spans.push({ signal, start: f.index, end: f.index + f[0].length });
+      }
+    }
+  }
+
+  const style = styleSignals(normalized);
+  hits.arousal += style.arousal;
+  hits.urgency += style.urgency;
+
+  const signals = {};
+  for (const signal of RULE_SIGNALS) signals[signal] = saturate(hits[signal]);
+
+  // Overall: dominated by the strongest signal, boosted when several co-occur
+  const values = Object.values(signals);
+  const top = Math.max(...values);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const score = Math.min(100, Math.round(top * 0.6 + mean * 0.8));
+
+  const reasons = RULE_SIGNALS
+    .filter(s => matched[s].length > 0)
+    .sort((a, b) => signals[b] - signals[a])
+    .map(s => `${ruleReasonLabel(s)}: "${matched[s].slice(0, 3).join('", "')}"`);
+
+  spans.sort((a, b) => a.start - b.start);
+
+  return { score, signals, reasons, spans: spans.slice(0, RULE_MAX_SPANS), engine: 'rules' };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { scoreText, RULE_SIGNALS, RULE_LANGUAGES };
+}
@@ -0,0 +1,145 @@
+// RageCheck Share Card
+// Draws an analysis result as a PNG with OffscreenCanvas, entirely on-device.
+// Loaded by the service worker via importScripts() and by the popup and share pages; needs i18n.js first.
+
+const SHARE_CARD_WIDTH = 1200;   // the usual link-preview size
+const SHARE_CARD_HEIGHT = 630;
+const SHARE_CARD_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const SHARE_CARD_SIGNALS = ['arousal', 'enemy', 'moral', 'urgency', 'tribal'];
+const SHARE_CARD_LEVEL_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#22c55e' };
+
+function shareCardLevel(value) {
+  return value >= 66 ? 'high' : value >= 33 ? 'medium' : 'low';
+}
+
+// Greedy word wrap; the last allowed line gets an ellipsis if the text runs over
+function wrapCardText(ctx, text, maxWidth, maxLines) {
+  const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+  const lines = [];
+  let line = '';
+  for (let i = 0; i < words.length; i++) {
+    const next = line ? `${line} ${words[i]}` : words[i];
+    if (ctx.measureText(next).width <= maxWidth || !line) {
+      line = next;
+      continue;
+    }
+    lines.push(line);
+    line = words[i];
+    if (lines.length === maxLines) {
+      line = '';
+      break;
+    }
+  }
+  if (line) lines.push(line);
+
+  const truncated = lines.length === maxLines && lines.join(' ').length < words.join(' ').length;
+  if (truncated) {
+    let last = lines[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+    lines[maxLines - 1] = `${last.trimEnd()}…`;
+  }
+  return lines;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, r);
+  ctx.fill();
+}
+
+// card: { score, signals?, reasons?, excerpt?, url? } -> PNG Blob
+async function renderShareCard(card) {
+  const canvas = new OffscreenCanvas(SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  const score = Math.max(0, Math.min(100, Math.round(Number(card.score) || 0)));
+  const level = shareCardLevel(score);
+  const accent = SHARE_CARD_LEVEL_COLORS[level];
+  const pad = 64;
+
+  ctx.fillStyle = '#18181b';
+  ctx.fillRect(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+  ctx.fillStyle = accent;
+  ctx.fillRect(0, 0, SHARE_CARD_WIDTH, 8);
+  ctx.textBaseline = 'alphabetic';
+
+  // Left column: score and level
+  ctx.fillStyle = accent;
+  ctx.font = `700 144px ${SHARE_CARD_FONT}`;
+  ctx.fillText(String(score), pad, 200);
+  const scoreWidth = ctx.measureText(String(score)).width;
+  ctx.fillStyle = '#71717a';
+  ctx.font = `500 36px ${SHARE_CARD_FONT}`;
+  ctx.fillText(i18n('shareCardOutOf'), pad + scoreWidth + 12, 200);
+
+  ctx.fillStyle = '#fafafa';
+  ctx.font = `600 34px ${SHARE_CARD_FONT}`;
+  ctx.fillText(i18n(`level_${level}`), pad, 256);
+  ctx.fillStyle = '#a1a1aa';
+  ctx.font = `400 22px ${SHARE_CARD_FONT}`;
+  wrapCardText(ctx, i18n(`level_${level}_desc`), 420, 2).forEach((line, i) => ctx.fillText(line, pad, 294 + i * 30));
+
+  // Right column: signal bars
+  const barsX = 560;
+  const barsW = SHARE_CARD_WIDTH - pad - barsX;
+  const labelW = 250;
+  let y = 96;
+  for (const key of SHARE_CARD_SIGNALS) {
+    const value = Math.max(0, Math.min(100, Math.round(Number(card.signals?.[key]) || 0)));
+    ctx.fillStyle = '#d4d4d8';
+    ctx.font = `400 22px ${SHARE_CARD_FONT}`;
+    ctx.fillText(i18n(`signal_${key}`), barsX, y + 8);
+    ctx.fillStyle = '#3f3f46';
+    roundRect(ctx, barsX + labelW, y - 6, barsW - labelW - 56, 14, 7);
+    if (value > 0) {
+      ctx.fillStyle = SHARE_CARD_LEVEL_COLORS[shareCardLevel(value)];
+      roundRect(ctx, barsX + labelW, y - 6, Math.max(14, (barsW - labelW - 56) * value / 100), 14, 7);
+    }
+    ctx.fillStyle = '#a1a1aa';
+    ctx.textAlign = 'right';
+    ctx.fillText(String(value), barsX + barsW, y + 8);
+    ctx.textAlign = 'left';
+    y += 52;
+  }
+
+  // Reasons, then the excerpt, in whatever room is left above the footer
+  y = 400;
+  ctx.fillStyle = '#3f3f46';
+  ctx.fillRect(pad, y - 28, SHARE_CARD_WIDTH - pad * 2, 1);
+  ctx.font = `400 22px ${SHARE_CARD_FONT}`;
+  for (const reason of (card.reasons || []).slice(0, 2)) {
+    if (y > 470) break;
+    ctx.fillStyle = accent;
+    ctx.fillText('•', pad, y);
+    ctx.fillStyle = '#d4d4d8';
+    ctx.fillText(wrapCardText(ctx, reason, SHARE_CARD_WIDTH - pad * 2 - 28, 1)[0], pad + 28, y);
+    y += 34;
+  }
+
+  if (card.excerpt) {
+    ctx.fillStyle = '#a1a1aa';
+    ctx.font = `italic 400 22px ${SHARE_CARD_FONT}`;
+    const maxLines = Math.max(1, Math.floor((548 - y) / 30));
+    wrapCardText(ctx, i18n('shareCardExcerpt', card.excerpt), SHARE_CARD_WIDTH - pad * 2, maxLines)
+      .forEach((line, i) => ctx.fillText(line, pad, y + 6 + i * 30));
+  }
+
+  // Footer: brand, source host, date
+  ctx.fillStyle = '#fafafa';
+  ctx.font = `700 24px ${SHARE_CARD_FONT}`;
+  ctx.fillText(i18n('extName'), pad, SHARE_CARD_HEIGHT - 40);
+  ctx.fillStyle = '#71717a';
+  ctx.font = `400 20px ${SHARE_CARD_FONT}`;
+  ctx.textAlign = 'right';
+  let host = '';
+  try { host = card.url ? new URL(card.url).hostname.replace(/^www\./, '') : ''; } catch (e) {}
+  const date = new Date().toLocaleDateString();
+  const meta = host ? i18n('shareCardMeta', host, date) : date;
+  ctx.fillText(meta, SHARE_CARD_WIDTH - pad, SHARE_CARD_HEIGHT - 40);
+  ctx.textAlign = 'left';
+
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+function shareCardFilename(score) {
+  return `ragecheck-${Math.round(Number(score) || 0)}-${new Date().toISOString().slice(0, 10)}.png`;
+}
@@ -0,0 +1,52 @@
+localizePage();
+
+const cardImg = document.getElementById('card');
+const emptyEl = document.getElementById('empty');
+const copyBtn = document.getElementById('copyCard');
+const downloadBtn = document.getElementById('downloadCard');
+const statusEl = document.getElementById('status');
+
+let cardBlob = null;
+let cardName = null;
+
+// The background keeps the last context-menu result in session storage for this page
+chrome.storage.session.get(['shareCard'], async ({ shareCard }) => {
+  if (!shareCard) {
+    emptyEl.hidden = false;
+    return;
+  }
+
+  try {
+    cardBlob = await renderShareCard(shareCard);
+  } catch (e) {
+    statusEl.textContent = i18n('shareFailed');
+    return;
+  }
+  cardName = shareCardFilename(shareCard.score);
+  cardImg.src = URL.createObjectURL(cardBlob);
+  cardImg.alt = i18n('shareCardAlt', shareCard.score);
+  cardImg.hidden = false;
+  copyBtn.disabled = false;
+  downloadBtn.disabled = false;
+});
+
+function flashStatus(text) {
+  statusEl.textContent = text;
+  setTimeout(() => { statusEl.textContent = ''; }, 2000);
+}
+
+copyBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': cardBlob })]);
+    flashStatus(i18n('shareCopied'));
+  } catch (e) {
+    flashStatus(i18n('shareCopyFailed'));
+  }
+});
+
+downloadBtn.addEventListener('click', () => {
+  const a = document.createElement('a');
+  a.href = cardImg.src;
+  a.download = cardName;
+  a.click();
+});
@@ -0,0 +1,523 @@
+// RageCheck UI Components
+// Shadow-DOM widgets shared by content.js (Check button, dots, result tooltip) and popup.js (signal bars).
+// Host pages can't restyle what's inside, and everything is rendered with textContent, never innerHTML.
+//
+// Strings come from i18n.js, which loads first.
+//
+// Content scripts can't register custom elements (customElements is null in isolated worlds),
+// so hosts are unregistered elements with valid custom-element names; attachShadow works on those.
+
+const RageUI = (() => {
+  const SIGNAL_LABELS = Object.fromEntries(
+    ['arousal', 'enemy', 'moral', 'urgency', 'tribal'].map(key => [key, i18n(`signal_${key}`)])
+  );
+
+  const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+  // Theme tokens; hosts carry theme="dark" | "light"
+  const THEME_CSS = `
+    :host {
+      all: initial;
+      font-family: ${FONT};
+      --rc-bg: #18181b;
+      --rc-fg: #fafafa;
+      --rc-muted: #a1a1aa;
+      --rc-soft: #d4d4d8;
+      --rc-border: #3f3f46;
+      --rc-accent: #818cf8;
+    }
+    :host([theme="light"]) {
+      --rc-bg: #ffffff;
+      --rc-fg: #18181b;
+      --rc-muted: #52525b;
+      --rc-soft: #3f3f46;
+      --rc-border: #e4e4e7;
+      --rc-accent: #4f46e5;
+    }
+  `;
+
+  const SIGNALS_CSS = `
+    .signals { display: flex; flex-direction: column; gap: 4px; }
+    .signal { display: flex; align-items: center; gap: 6px; }
+    .signal-name { font-size: 10px; color: var(--rc-muted); min-width: 90px; text-align: right; }
+    .signal-track { flex: 1; min-width: 60px; height: 4px; background: var(--rc-border); border-radius: 2px; overflow: hidden; }
+    .signal-fill { height: 100%; border-radius: 2px; transition: width 0.3s ease; }
+    .signal-fill.high { background: #ef4444; }
+    .signal-fill.medium { background: #f59e0b; }
+    .signal-fill.low { background: #22c55e; }
+    .signal-num { font-size: 10px; color: var(--rc-muted); min-width: 20px; }
+    /* Matches the ::highlight(ragecheck-*) colors in content.css */
+    .key::after { content: ''; display: inline-block; width: 6px; height: 6px; margin-left: 4px; border-radius: 50%; vertical-align: middle; }
+    .key-arousal::after { background: #f97316; }
+    .key-enemy::after { background: #ef4444; }
+    .key-moral::after { background: #a855f7; }
+    .key-urgency::after { background: #eab308; }
+    .key-tribal::after { background: #3b82f6; }
+    :host([size="large"]) .signals { gap: 6px; }
+    :host([size="large"]) .signal-name { font-size: 11px; min-width: 100px; }
+    :host([size="large"]) .signal-track { height: 6px; border-radius: 3px; }
+    :host([size="large"]) .signal-num { font-size: 11px; }
+  `;
+
+  const BUTTON_CSS = `
+    :host { display: inline-flex !important; position: relative; vertical-align: middle; }
+    @keyframes fade-in { from { opacity: 0; transform: scale(0.8); } to { opacity: 1; transform: scale(1); } }
+    @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+
+    .btn {
+      display: inline-flex; align-items: center; gap: 4px;
+      padding: 6px 10px; border: none; border-radius: 9999px;
+      background: linear-gradient(135deg, #6366f1, #8b5cf6);
+      color: #fff; font: 600 13px ${FONT}; line-height: 1.2;
+      cursor: pointer; transition: all 0.2s ease;
+      animation: fade-in 0.25s ease-out;
+    }
+    .btn:hover { transform: scale(1.05); box-shadow: 0 2px 8px rgba(99, 102, 241, 0.4); }
+    .btn:active { transform: scale(0.98); }
+    .btn:focus-visible { outline: 2px solid var(--rc-accent); outline-offset: 2px; }
+    .btn svg { width: 14px; height: 14px; flex-shrink: 0; }
+    .label { min-width: 28px; text-align: center; }
+    .beta { border: 1.5px dashed rgba(255, 255, 255, 0.4); }
+    .beta-tag { font-size: 8px; text-transform: uppercase; letter-spacing: 0.5px; opacity: 0.7; margin-left: 2px; }
+
+    :host([state="loading"]) .btn { opacity: 0.7; pointer-events: none; }
+    :host([state="loading"]) .btn svg { animation: spin 1s linear infinite; }
+    :host([state="error"]) .btn { background: #6b7280; }
+    :host([level="high"]) .btn { background: linear-gradient(135deg, #ef4444, #f97316); }
+    :host([level="medium"]) .btn { background: linear-gradient(135deg, #f59e0b, #eab308); }
+    :host([level="low"]) .btn { background: linear-gradient(135deg, #10b981, #22c55e); }
+    :host([state="unsupported"]) .btn { background: #52525b; }
+    :host([state="result"]) .btn:hover { transform: scale(1.08); box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3); }
+
+    .tooltip {
+      position: absolute; bottom: 100%; left: 50%; transform: translateX(-50%);
+      margin-bottom: 8px; padding: 10px 14px;
+      background: var(--rc-bg); color: var(--rc-fg);
+      border: 1px solid var(--rc-border); border-radius: 8px;
+      font-size: 12px; line-height: 1.4; white-space: nowrap; text-align: left;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      opacity: 0; visibility: hidden; pointer-events: none;
+      transition: opacity 0.2s, visibility 0.2s;
+      z-index: 10000;
+    }
+    /* Arrow, and a bridge over the gap so the pointer can reach the tooltip's controls */
+    .tooltip::after {
+      content: ''; position: absolute; top: 100%; left: 50%; transform: translateX(-50%);
+      border: 6px solid transparent; border-top-color: var(--rc-bg);
+    }
+    .tooltip::before { content: ''; position: absolute; top: 100%; left: 0; right: 0; height: 10px; }
+    :host([state="result"]:hover) .tooltip,
+    :host([state="result"]:focus-within) .tooltip,
+    :host([state="unsupported"]:hover) .tooltip,
+    :host([state="unsupported"]:focus-within) .tooltip {
+      opacity: 1; visibility: visible; pointer-events: auto;
+    }
+    :host([tip="dismissed"]) .tooltip { opacity: 0 !important; visibility: hidden !important; }
+
+    .score { font-size: 18px; font-weight: 700; margin-bottom: 4px; }
+    .level { color: var(--rc-muted); margin-bottom: 6px; }
+    .signals { margin: 8px 0 4px; }
+    .reasons { margin-top: 6px; padding-top: 6px; border-top: 1px solid var(--rc-border); }
+    .reason { font-size: 11px; color: var(--rc-soft); margin-bottom: 2px; white-space: normal; max-width: 320px; }
+    .reason::before { content: '\\2022  '; color: var(--rc-muted); }
+    .action {
+      display: block; width: 100%; margin-top: 6px; padding: 6px 0 0;
+      border: none; border-top: 1px solid var(--rc-border); background: none;
+      color: var(--rc-accent); font: 11px ${FONT}; text-align: left; cursor: pointer;
+    }
+    .action:hover, .action:focus-visible { text-decoration: underline; outline: none; }
+    .actions { display: flex; gap: 12px; margin-top: 6px; padding-top: 6px; border-top: 1px solid var(--rc-border); }
+    .actions .action { display: inline; width: auto; margin: 0; padding: 0; border: none; }
+    .feedback .question { color: var(--rc-muted); font-size: 11px; }
+    .feedback .vote { font-size: 13px; }
+    .cta { color: var(--rc-accent); font-weight: 500; margin-top: 6px; }
+    .note { max-width: 260px; white-space: normal; color: var(--rc-soft); }
+  `;
+
+  const DOT_CSS = `
+    :host { display: inline-flex !important; position: relative; vertical-align: middle; cursor: default; outline: none; }
+    @keyframes pop { 0% { transform: scale(0); opacity: 0; } 60% { transform: scale(1.3); } 100% { transform: scale(1); opacity: 1; } }
+    @keyframes pulse { 0%, 100% { box-shadow: 0 0 6px rgba(239, 68, 68, 0.6); } 50% { box-shadow: 0 0 12px rgba(239, 68, 68, 0.9); } }
+    .dot { width: 12px; height: 12px; border-radius: 50%; animation: pop 0.3s ease-out; }
+    .green { background: #22c55e; box-shadow: 0 0 4px rgba(34, 197, 94, 0.5); }
+    .yellow { background: #eab308; box-shadow: 0 0 4px rgba(234, 179, 8, 0.5); }
+    .gray { background: #71717a; }
+    .red { background: #ef4444; box-shadow: 0 0 6px rgba(239, 68, 68, 0.6); animation: pop 0.3s ease-out, pulse 2s ease-in-out infinite 0.3s; }
+    :host(:focus-visible) .dot { outline: 2px solid var(--rc-accent); outline-offset: 2px; }
+    .tip {
+      position: absolute; bottom: calc(100% + 6px); left: 50%; transform: translateX(-50%);
+      padding: 4px 8px; border-radius: 4px;
+      background: var(--rc-bg); color: var(--rc-fg); border: 1px solid var(--rc-border);
+      font: 500 11px ${FONT}; white-space: nowrap;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      opacity: 0; visibility: hidden; pointer-events: none;
+      transition: opacity 0.15s, visibility 0.15s; z-index: 10001;
+    }
+    .tip::after {
+      content: ''; position: absolute; top: 100%; left: 50%; transform: translateX(-50%);
+      border: 4px solid transparent; border-top-color: var(--rc-bg);
+    }
+    :host(:hover) .tip, :host(:focus) .tip { opacity: 1; visibility: visible; }
+  `;
+
+  const ICON_PATHS = ['M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2z', 'M12 6v6l4 2'];
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function icon() {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    for (const [k, v] of Object.entries({ viewBox: '0 0 24 24', fill: 'none', stroke: 'currentColor', 'stroke-width': '2', 'aria-hidden': 'true' })) {
+      svg.setAttribute(k, v);
+    }
+    for (const d of ICON_PATHS) {
+      const path = document.createElementNS(ns, 'path');
+      path.setAttribute('d', d);
+      svg.appendChild(path);
+    }
+    return svg;
+  }
+
+  function createHost(tag, css, theme) {
+    const host = document.createElement(tag);
+    host.setAttribute('theme', theme || 'dark');
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = el('style');
+    style.textContent = THEME_CSS + css;
+    root.appendChild(style);
+    return { host, root };
+  }
+
+  // The first opaque background up the tree decides; fall back to the OS preference
+  function detectTheme(node) {
+    for (let n = node; n && n.nodeType === 1; n = n.parentElement) {
+      const match = getComputedStyle(n).backgroundColor.match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?/);
+      if (!match || (match[4] !== undefined && parseFloat(match[4]) < 0.5)) continue;
+      const [r, g, b] = match.slice(1, 4).map(Number);
+      const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+      return luminance < 0.5 ? 'dark' : 'light';
+    }
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  function getLevel(score) {
+    const key = score >= 66 ? 'high' : score >= 33 ? 'medium' : 'low';
+    return { key, text: i18n(`level_${key}`), desc: i18n(`level_${key}_desc`) };
+  }
+
+  function bandOf(value) {
+    return value >= 66 ? 'high' : value >= 33 ? 'medium' : 'low';
+  }
+
+  // Rows into a container that already has SIGNALS_CSS in scope
+  function renderSignalRows(container, signals, { showValues = false } = {}) {
+    for (const [key, raw] of Object.entries(signals || {})) {
+      const value = Math.max(0, Math.min(100, Math.round(Number(raw) || 0)));
+      const label = SIGNAL_LABELS[key] || key;
+      const row = el('div', 'signal');
+      row.setAttribute('role', 'meter');
+      row.setAttribute('aria-label', label);
+      row.setAttribute('aria-valuemin', '0');
+      row.setAttribute('aria-valuemax', '100');
+      row.setAttribute('aria-valuenow', String(value));
+
+      const track = el('div', 'signal-track');
+      const fill = el('div', `signal-fill ${bandOf(value)}`);
+      fill.style.width = `${value}%`;
+      track.appendChild(fill);
+
+      row.append(el('span', `signal-name key key-${key}`, label), track);
+      if (showValues) row.appendChild(el('span', 'signal-num', String(value)));
+      container.appendChild(row);
+    }
+  }
+
+  // Standalone signal list (popup)
+  function createSignalList(signals, { theme = 'dark', size = 'large' } = {}) {
+    const { host, root } = createHost('ragecheck-signals', SIGNALS_CSS, theme);
+    host.setAttribute('size', size);
+    const list = el('div', 'signals');
+    renderSignalRows(list, signals, { showValues: true });
+    root.appendChild(list);
+    return host;
+  }
+
+  // ---- Check button ----
+
+  const checkButtons = new WeakMap(); // host -> CheckButton
+
+  class CheckButton {
+    constructor({ beta = false, theme = 'dark' } = {}) {
+      const { host, root } = createHost('ragecheck-check', BUTTON_CSS + SIGNALS_CSS, theme);
+      host.className = 'ragecheck-btn'; // light-DOM hook for lookups in content.js
+      this.host = host;
+
+      this.button = el('button', 'btn' + (beta ? ' beta' : ''));
+      this.button.type = 'button';
+      this.label = el('span', 'label', i18n('checkButton'));
+      this.button.append(icon(), this.label);
+      if (beta) this.button.appendChild(el('span', 'beta-tag', i18n('checkBeta')));
+
+      // Not role="tooltip": it holds buttons (highlights, share, feedback), which a tooltip
+      // hides from screen readers. A non-modal dialog the button discloses keeps them reachable.
+      this.tooltip = el('div', 'tooltip');
+      this.tooltip.id = 'tip';
+      this.tooltip.setAttribute('role', 'dialog');
+      this.tooltip.setAttribute('aria-label', i18n('checkDetailsLabel'));
+      this.button.setAttribute('aria-controls', 'tip');
+
+      // Clicks inside must not reach the site's own post handlers (e.g. open-the-post on click)
+      root.addEventListener('click', (e) => e.stopPropagation());
+      // Escape hides the tooltip until the pointer or focus leaves
+      root.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        host.setAttribute('tip', 'dismissed');
+        this.updateExpanded();
+      });
+      host.addEventListener('mouseenter', () => this.updateExpanded());
+      host.addEventListener('focusin', () => this.updateExpanded());
+      host.addEventListener('mouseleave', () => {
+        host.removeAttribute('tip');
+        this.updateExpanded();
+      });
+      host.addEventListener('focusout', () => {
+        host.removeAttribute('tip');
+        setTimeout(() => this.updateExpanded(), 0); // once focus has actually moved
+      });
+
+      root.append(this.button, this.tooltip);
+      this.setIdle();
+      checkButtons.set(host, this);
+    }
+
+    get state() {
+      return this.host.getAttribute('state');
+    }
+
+    // aria-expanded mirrors the CSS: the panel shows on hover or focus once there is a
+    // result (or a language note), until Escape dismisses it
+    updateExpanded() {
+      if (this.state !== 'result' && this.state !== 'unsupported') {
+        this.button.removeAttribute('aria-expanded');
+        return;
+      }
+      const open = this.host.getAttribute('tip') !== 'dismissed' &&
+        (this.host.matches(':hover') || this.host.matches(':focus-within'));
+      this.button.setAttribute('aria-expanded', String(open));
+    }
+
+    onActivate(handler) {
+      this.button.addEventListener('click', (e) => {
+        e.preventDefault();
+        handler(e);
+      });
+    }
+
+    setIdle() {
+      this.host.setAttribute('state', 'idle');
+      this.host.removeAttribute('level');
+      this.label.textContent = i18n('checkButton');
+      this.button.title = '';
+      this.button.setAttribute('aria-label', i18n('checkAriaIdle'));
+      this.button.removeAttribute('aria-busy');
+      this.tooltip.textContent = '';
+      this.updateExpanded();
+    }
+
+    setLoading() {
+      this.host.setAttribute('state', 'loading');
+      this.label.textContent = '...';
+      this.button.setAttribute('aria-busy', 'true');
+      this.button.setAttribute('aria-label', i18n('checkAriaLoading'));
+      this.updateExpanded();
+    }
+
+    setError(message) {
+      this.host.setAttribute('state', 'error');
+      this.host.removeAttribute('level');
+      this.label.textContent = i18n('checkError');
+      this.button.title = message;
+      this.button.removeAttribute('aria-busy');
+      this.button.setAttribute('aria-label', i18n('checkAriaError', message));
+      this.updateExpanded();
+    }
+
+    setResult(result) {
+      const score = Math.round(Number(result.score) || 0);
+      const level = getLevel(score);
+      this.host.setAttribute('state', 'result');
+      this.host.setAttribute('level', level.key);
+      this.label.textContent = String(score);
+      this.button.title = '';
+      this.button.removeAttribute('aria-busy');
+      this.button.setAttribute('aria-label', i18n('checkAriaResult', score, level.text));
+
+      const tip = this.tooltip;
+      tip.textContent = '';
+      tip.append(el('div', 'score', i18n('scoreOutOf100', score)), el('div', 'level', `${level.text} - ${level.desc}`));
+
+      if (result.signals && Object.keys(result.signals).length > 0) {
+        const signals = el('div', 'signals');
+        renderSignalRows(signals, result.signals);
+        tip.appendChild(signals);
+      }
+
+      if (result.reasons?.length > 0) {
+        const reasons = el('div', 'reasons');
+        for (const r of result.reasons.slice(0, 2)) reasons.appendChild(el('div', 'reason', String(r)));
+        tip.appendChild(reasons);
+      }
+
+      this.cta = el('div', 'cta', i18n('checkCta'));
+      tip.appendChild(this.cta);
+      this.updateExpanded();
+    }
+
+    // The scorer doesn't handle this post's language: say so rather than show a falsely calm score
+    setUnsupported(lang) {
+      const note = i18n('unsupportedTip', languageName(lang));
+      this.host.setAttribute('state', 'unsupported');
+      this.host.removeAttribute('level');
+      this.label.textContent = i18n('unsupportedLabel');
+      this.button.title = '';
+      this.button.removeAttribute('aria-busy');
+      this.button.setAttribute('aria-label', note);
+      this.tooltip.textContent = '';
+      this.tooltip.appendChild(el('div', 'note', note));
+      this.updateExpanded();
+    }
+
+    // A toggle inside the tooltip; render(on) returns its label
+    addToggle(render, onToggle) {
+      const toggle = el('button', 'action');
+      toggle.type = 'button';
+      let on = false;
+      const update = (value) => {
+        on = value;
+        toggle.textContent = render(on);
+        toggle.setAttribute('aria-pressed', String(on));
+      };
+      toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        update(onToggle(!on));
+      });
+      this.tooltip.insertBefore(toggle, this.cta);
+      return update;
+    }
+
+    // A row of plain buttons inside the tooltip; onClick gets the button for feedback
+    addActions(actions) {
+      const row = el('div', 'actions');
+      for (const { label, onClick } of actions) {
+        const action = el('button', 'action', label);
+        action.type = 'button';
+        action.addEventListener('click', (e) => {
+          e.preventDefault();
+          onClick(action);
+        });
+        row.appendChild(action);
+      }
+      this.tooltip.insertBefore(row, this.cta);
+    }
+
+    // "Was this right?" row: onFeedback({ vote }) on a thumb; a thumbs-down then asks
+    // which way it was off and sends onFeedback({ vote: 'down', direction })
+    addFeedback(onFeedback) {
+      const row = el('div', 'actions feedback');
+      const thanks = () => row.replaceChildren(el('span', 'question', i18n('feedbackThanks')));
+      const button = (className, text, label, onClick) => {
+        const b = el('button', `action ${className}`, text);
+        b.type = 'button';
+        b.setAttribute('aria-label', label);
+        b.addEventListener('click', (e) => {
+          e.preventDefault();
+          onClick();
+        });
+        return b;
+      };
+
+      row.append(
+        el('span', 'question', i18n('feedbackQuestion')),
+        button('vote', '\u{1F44D}', i18n('feedbackUp'), () => {
+          onFeedback({ vote: 'up' });
+          thanks();
+        }),
+        button('vote', '\u{1F44E}', i18n('feedbackDown'), () => {
+          onFeedback({ vote: 'down' });
+          row.replaceChildren(
+            button('', i18n('feedbackTooHigh'), i18n('feedbackTooHigh'), () => {
+              onFeedback({ vote: 'down', direction: 'too_high' });
+              thanks();
+            }),
+            button('', i18n('feedbackTooLow'), i18n('feedbackTooLow'), () => {
+              onFeedback({ vote: 'down', direction: 'too_low' });
+              thanks();
+            })
+          );
+          row.firstChild.focus();
+        })
+      );
+      this.tooltip.insertBefore(row, this.cta);
+    }
+
+    focus() {
+      this.button.focus();
+    }
+
+    click() {
+      this.button.click();
+    }
+  }
+
+  function getCheckButton(host) {
+    return checkButtons.get(host) || null;
+  }
+
+  // ---- Dot ----
+
+  function dotColor(score) {
+    if (score >= 50) return 'red';
+    if (score >= 10) return 'yellow';
+    return 'green';
+  }
+
+  function createDot(score, { theme = 'dark' } = {}) {
+    const { host, root } = createHost('ragecheck-dot', DOT_CSS, theme);
+    const label = i18n(`dot_${dotColor(score)}`);
+    host.className = 'ragecheck-dot';
+    host.dataset.score = score;
+    host.tabIndex = 0;
+    host.setAttribute('role', 'img');
+    host.setAttribute('aria-label', i18n('dotAria', score, label));
+    root.append(el('span', `dot ${dotColor(score)}`), el('span', 'tip', `${score} — ${label}`));
+    return host;
+  }
+
+  function createUnsupportedDot(lang, { theme = 'dark' } = {}) {
+    const { host, root } = createHost('ragecheck-dot', DOT_CSS, theme);
+    const label = i18n('dotUnsupported', languageName(lang));
+    host.className = 'ragecheck-dot ragecheck-dot-unsupported';
+    host.tabIndex = 0;
+    host.setAttribute('role', 'img');
+    host.setAttribute('aria-label', label);
+    root.append(el('span', 'dot gray'), el('span', 'tip', label));
+    return host;
+  }
+
+  return {
+    SIGNAL_LABELS,
+    detectTheme,
+    getLevel,
+    dotColor,
+    createSignalList,
+    CheckButton,
+    getCheckButton,
+    createDot,
+    createUnsupportedDot
+  };
+})();
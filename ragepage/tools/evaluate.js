@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+// RageCheck Labeling + Evaluation Harness
+// Labels a JSONL corpus through /api/analyze-batch (the teacher), scores the same posts with the
+// extension's local scorer (the student), and checks the README's acceptance criteria.
+//
+//   node tools/evaluate.js corpus.jsonl [--api http://localhost:3000] [--out labeled.jsonl]
+//                                       [--scorer rules|model] [--json report.json] [--relabel]
+//
+// Corpus lines: { id?, text, platform?, topic?, llm_score? }. Lines that already carry llm_score
+// are not sent again, so a labeled file can be fed back in to re-run the evaluation offline.
+// Exit codes: 0 criteria met, 1 criteria not met, 2 usage, input or labeling error.
+
+const fs = require('fs');
+const path = require('path');
+const { scoreText, RULE_SIGNALS } = require('../extension/rules.js');
+
+const DEFAULT_API_BASE = process.env.RAGECHECK_API || 'https://ragecheck.com';
+const BATCH_SIZE = 20;
+const CONCURRENCY = 3;       // what the teacher labeling run in the README assumes
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE = 1000;   // ms, doubled per attempt
+const MODEL_DIR = path.join(__dirname, '..', 'extension', 'model');
+const MODEL_MAX_TOKENS = 128; // matches training max_length
+
+// Same bands as the extension: low < 33 <= mid < 66 <= high ("ragebait")
+const CLASSES = ['low', 'mid', 'high'];
+
+// README "Acceptance Criteria"
+const CRITERIA = [
+  { key: 'mae', label: 'MAE < 10 points', pass: m => m.mae < 10 },
+  { key: 'accuracy', label: 'Classification accuracy > 85%', pass: m => m.accuracy > 0.85 },
+  { key: 'recall', label: 'Ragebait recall > 90%', pass: m => m.recall > 0.9 },
+  { key: 'falsePositiveRate', label: 'False positive rate < 10%', pass: m => m.falsePositiveRate < 0.1 }
+];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function usage(message) {
+  if (message) console.error(`error: ${message}\n`);
+  console.error('usage: node tools/evaluate.js <corpus.jsonl> [--api URL] [--out FILE] [--scorer rules|model]');
+  console.error('                                             [--json FILE] [--batch N] [--concurrency N] [--relabel]');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { api: DEFAULT_API_BASE, scorer: 'rules', batch: BATCH_SIZE, concurrency: CONCURRENCY, relabel: false };
+  const valued = { '--api': 'api', '--out': 'out', '--scorer': 'scorer', '--json': 'json', '--batch': 'batch', '--concurrency': 'concurrency' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') usage();
+    else if (arg === '--relabel') opts.relabel = true;
+    else if (valued[arg]) {
+      if (argv[i + 1] === undefined) usage(`${arg} needs a value`);
+      opts[valued[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) usage(`unknown option ${arg}`);
+    else if (!opts.corpus) opts.corpus = arg;
+    else usage(`unexpected argument ${arg}`);
+  }
+
+  if (!opts.corpus) usage('missing corpus file');
+  if (!['rules', 'model'].includes(opts.scorer)) usage('--scorer must be rules or model');
+  opts.batch = Number(opts.batch);
+  opts.concurrency = Number(opts.concurrency);
+  if (!(opts.batch >= 1) || !(opts.concurrency >= 1)) usage('--batch and --concurrency must be positive numbers');
+  opts.api = opts.api.replace(/\/+$/, '');
+  opts.out = opts.out || opts.corpus.replace(/(\.jsonl)?$/, '.labeled.jsonl');
+  return opts;
+}
+
+function readCorpus(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    usage(`cannot read ${file}: ${e.message}`);
+  }
+
+  const posts = [];
+  raw.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let post;
+    try {
+      post = JSON.parse(line);
+    } catch (e) {
+      usage(`${file}:${i + 1}: invalid JSON`);
+    }
+    if (typeof post.text !== 'string' || !post.text.trim()) usage(`${file}:${i + 1}: missing text`);
+    posts.push({ ...post, id: post.id ?? String(i + 1) });
+  });
+  if (posts.length === 0) usage(`${file} has no posts`);
+  return posts;
+}
+
+// ============================================================
+// Teacher labels via /api/analyze-batch
+// ============================================================
+
+// POST { items: [{ id, text }], source } -> { results: [{ id, score, label?, reasons?, signals? }] }
+async function labelBatch(api, batch) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    let response;
+    try {
+      response = await fetch(`${api}/api/analyze-batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: batch.map(({ id, text }) => ({ id, text })), source: 'eval' })
+      });
+    } catch (e) {
+      await sleep(BACKOFF_BASE * 2 ** attempt);
+      continue;
+    }
+
+    if (response.status === 429) {
+      const seconds = Number(response.headers.get('Retry-After'));
+      await sleep(Number.isNaN(seconds) || seconds <= 0 ? BACKOFF_BASE * 2 ** attempt : seconds * 1000);
+      continue;
+    }
+    if (response.status >= 500) {
+      await sleep(BACKOFF_BASE * 2 ** attempt);
+      continue;
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !Array.isArray(data?.results)) {
+      throw new Error(`/api/analyze-batch returned ${response.status}${data?.error ? `: ${data.error}` : ''}`);
+    }
+    return data.results;
+  }
+  throw new Error(`/api/analyze-batch failed after ${MAX_ATTEMPTS} attempts`);
+}
+
+async function labelCorpus(posts, opts) {
+  const pending = posts.filter(p => opts.relabel || typeof p.llm_score !== 'number');
+  if (pending.length === 0) return;
+
+  console.error(`Labeling ${pending.length} posts via ${opts.api}/api/analyze-batch ...`);
+  const batches = [];
+  for (let i = 0; i < pending.length; i += opts.batch) batches.push(pending.slice(i, i + opts.batch));
+
+  let done = 0;
+  const worker = async () => {
+    while (batches.length > 0) {
+      const batch = batches.shift();
+      const results = await labelBatch(opts.api, batch);
+      const byId = new Map(results.map(r => [String(r.id), r]));
+      for (const post of batch) {
+        const r = byId.get(String(post.id));
+        if (!r || typeof r.score !== 'number') throw new Error(`no label returned for post ${post.id}`);
+        post.llm_score = r.score;
+        post.label = r.label ?? null;
+        post.reasons = r.reasons || [];
+        post.bars = r.signals || {};
+      }
+      done += batch.length;
+      console.error(`  ${done}/${pending.length}`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(opts.concurrency, batches.length) }, worker));
+}
+
+// ============================================================
+// Student scores: the extension's local scorer
+// ============================================================
+
+async function loadModelScorer() {
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch (e) {
+    throw new Error('--scorer model needs @huggingface/transformers (npm install)');
+  }
+  if (!fs.existsSync(path.join(MODEL_DIR, 'config.json'))) throw new Error(`no model at ${MODEL_DIR}`);
+
+  const { env, AutoTokenizer, AutoModelForSequenceClassification } = transformers;
+  env.allowRemoteModels = false;
+  env.localModelPath = path.dirname(MODEL_DIR) + path.sep;
+  const tokenizer = await AutoTokenizer.from_pretrained('model');
+  const model = await AutoModelForSequenceClassification.from_pretrained('model', { dtype: 'q8' });
+  const id2label = model.config.id2label || {};
+  const scoreIdx = Number(Object.keys(id2label).find(i => id2label[i] === 'score') ?? 0);
+  const pct = (x) => Math.round(100 / (1 + Math.exp(-x)));
+
+  // Same head decoding as offscreen/offscreen.js
+  return async (texts) => {
+    const inputs = tokenizer(texts, { padding: true, truncation: true, max_length: MODEL_MAX_TOKENS });
+    const { logits } = await model(inputs);
+    return logits.tolist().map((row) => {
+      const signals = {};
+      row.forEach((value, i) => {
+        if (RULE_SIGNALS.includes(id2label[i])) signals[id2label[i]] = pct(value);
+      });
+      return { score: pct(row[scoreIdx]), signals };
+    });
+  };
+}
+
+async function scoreCorpus(posts, scorer) {
+  for (const post of posts) post.rule_score = scoreText(post.text).score;
+
+  if (scorer === 'rules') {
+    for (const post of posts) post.local_score = post.rule_score;
+    return;
+  }
+
+  const infer = await loadModelScorer();
+  for (let i = 0; i < posts.length; i += 16) {
+    const batch = posts.slice(i, i + 16);
+    const results = await infer(batch.map(p => p.text));
+    batch.forEach((post, j) => { post.local_score = results[j].score; });
+  }
+}
+
+// ============================================================
+// Metrics
+// ============================================================
+
+function band(score) {
+  return score >= 66 ? 'high' : score >= 33 ? 'mid' : 'low';
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+// Ratios with an empty denominator are null, not 0: "no ragebait in this slice" isn't a miss
+function ratio(a, b) {
+  return b === 0 ? null : a / b;
+}
+
+function computeMetrics(posts) {
+  const truth = posts.map(p => p.llm_score);
+  const pred = posts.map(p => p.local_score);
+  const confusion = Object.fromEntries(CLASSES.map(t => [t, Object.fromEntries(CLASSES.map(c => [c, 0]))]));
+  let absError = 0;
+  for (let i = 0; i < posts.length; i++) {
+    absError += Math.abs(truth[i] - pred[i]);
+    confusion[band(truth[i])][band(pred[i])]++;
+  }
+
+  const correct = CLASSES.reduce((n, c) => n + confusion[c][c], 0);
+  const tp = confusion.high.high;
+  const fn = confusion.high.low + confusion.high.mid;
+  const fp = confusion.low.high + confusion.mid.high;
+  const tn = posts.length - tp - fn - fp;
+
+  return {
+    n: posts.length,
+    mae: absError / posts.length,
+    accuracy: correct / posts.length,
+    precision: ratio(tp, tp + fp),
+    recall: ratio(tp, tp + fn),
+    falsePositiveRate: ratio(fp, fp + tn),
+    pearson: pearson(truth, pred),
+    confusion
+  };
+}
+
+function breakdown(posts, field) {
+  const groups = new Map();
+  for (const post of posts) {
+    const key = post[field] || 'unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(post);
+  }
+  return Object.fromEntries([...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([key, group]) => [key, computeMetrics(group)]));
+}
+
+// A criterion with no data to judge (e.g. recall without any ragebait) fails: the corpus can't vouch for it
+function checkCriteria(metrics) {
+  return CRITERIA.map(c => ({
+    label: c.label,
+    value: metrics[c.key],
+    pass: metrics[c.key] !== null && c.pass(metrics)
+  }));
+}
+
+// ============================================================
+// Report
+// ============================================================
+
+const asPercent = (x) => (x === null ? '-' : `${(x * 100).toFixed(1)}%`).padStart(6);
+const asNumber = (x, digits = 1) => (x === null ? '-' : x.toFixed(digits)).padStart(6);
+
+function printTable(title, rows) {
+  console.log(`\n${title}`);
+  console.log(`  ${'group'.padEnd(20)} ${'n'.padStart(5)} ${'MAE'.padStart(6)} ${'acc'.padStart(6)} ${'recall'.padStart(6)} ${'FPR'.padStart(6)} ${'r'.padStart(6)}`);
+  for (const [key, m] of Object.entries(rows)) {
+    console.log(`  ${key.slice(0, 20).padEnd(20)} ${String(m.n).padStart(5)} ${asNumber(m.mae)} ${asPercent(m.accuracy)} ${asPercent(m.recall)} ${asPercent(m.falsePositiveRate)} ${asNumber(m.pearson, 2)}`);
+  }
+}
+
+function printReport(report) {
+  const m = report.overall;
+  console.log(`RageCheck evaluation: ${m.n} posts, ${report.scorer} scorer vs teacher labels`);
+  console.log(`\n  MAE                  ${asNumber(m.mae)}`);
+  console.log(`  Accuracy (3-class)   ${asPercent(m.accuracy)}`);
+  console.log(`  Ragebait precision   ${asPercent(m.precision)}`);
+  console.log(`  Ragebait recall      ${asPercent(m.recall)}`);
+  console.log(`  False positive rate  ${asPercent(m.falsePositiveRate)}`);
+  console.log(`  Pearson r            ${asNumber(m.pearson, 3)}`);
+
+  console.log('\n  Confusion (rows = teacher, columns = local)');
+  console.log(`  ${''.padEnd(6)}${CLASSES.map(c => c.padStart(7)).join('')}`);
+  for (const t of CLASSES) {
+    console.log(`  ${t.padEnd(6)}${CLASSES.map(c => String(m.confusion[t][c]).padStart(7)).join('')}`);
+  }
+
+  printTable('By platform', report.byPlatform);
+  printTable('By topic', report.byTopic);
+
+  console.log('\nAcceptance criteria');
+  for (const c of report.criteria) console.log(`  [${c.pass ? 'PASS' : 'FAIL'}] ${c.label}`);
+  console.log(`\n${report.passed ? 'PASSED' : 'FAILED'}`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const posts = readCorpus(opts.corpus);
+
+  try {
+    await labelCorpus(posts, opts);
+  } catch (e) {
+    console.error(`error: labeling failed: ${e.message}`);
+    process.exit(2);
+  }
+
+  try {
+    await scoreCorpus(posts, opts.scorer);
+  } catch (e) {
+    console.error(`error: local scoring failed: ${e.message}`);
+    process.exit(2);
+  }
+
+  // Labeled corpus in the README's storage format, plus the local score for inspection
+  fs.writeFileSync(opts.out, posts.map(p => JSON.stringify(p)).join('\n') + '\n');
+  console.error(`Wrote ${opts.out}`);
+
+  const overall = computeMetrics(posts);
+  const criteria = checkCriteria(overall);
+  const report = {
+    scorer: opts.scorer,
+    overall,
+    byPlatform: breakdown(posts, 'platform'),
+    byTopic: breakdown(posts, 'topic'),
+    criteria,
+    passed: criteria.every(c => c.pass)
+  };
+
+  printReport(report);
+  if (opts.json) fs.writeFileSync(opts.json, JSON.stringify(report, null, 2) + '\n');
+  process.exit(report.passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// RageCheck Model Fetcher
+// Puts the distilled DistilBERT (q8 ONNX + tokenizer) where offscreen.js loads it: extension/model/.
+// Either downloads it from the Hugging Face Hub or copies it from a local export (README Phase 4).
+//
+//   node tools/fetch-model.js [--repo owner/name] [--revision main] [--force]
+//   node tools/fetch-model.js --from ./onnx-model
+//
+// Without extension/model/ the extension still works; every dot is scored by rules.js instead.
+// A failed run leaves extension/model/ as it was: the files only land there once all of them arrived.
+// Exit codes: 0 model in place, 1 download or copy failed, 2 usage error.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPO = process.env.RAGECHECK_MODEL_REPO || 'ragecheck/distilbert-ragebait-v1';
+const MODEL_DIR = path.join(__dirname, '..', 'extension', 'model');
+// Files are gathered here and swapped in as a whole, so extension/model/ is always all or nothing
+const STAGING_DIR = path.join(__dirname, '..', 'model.part');
+
+// Target path under extension/model/ -> names it may have in a local export, first match wins
+const MODEL_FILES = {
+  'config.json': ['config.json'],
+  'tokenizer.json': ['tokenizer.json'],
+  'tokenizer_config.json': ['tokenizer_config.json'],
+  'onnx/model_quantized.onnx': ['onnx/model_quantized.onnx', 'model_quantized.onnx', 'model_q8.onnx']
+};
+
+function usage(message) {
+  if (message) console.error(`error: ${message}\n`);
+  console.error('usage: node tools/fetch-model.js [--repo owner/name] [--revision REV] [--force]');
+  console.error('       node tools/fetch-model.js --from EXPORT_DIR');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { repo: DEFAULT_REPO, revision: 'main', force: false };
+  const valued = { '--repo': 'repo', '--revision': 'revision', '--from': 'from' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') usage();
+    else if (arg === '--force') opts.force = true;
+    else if (valued[arg]) {
+      if (argv[i + 1] === undefined) usage(`${arg} needs a value`);
+      opts[valued[arg]] = argv[++i];
+    } else usage(`unexpected argument ${arg}`);
+  }
+  if (!/^[\w.-]+\/[\w.-]+$/.test(opts.repo)) usage('--repo must look like owner/name');
+  return opts;
+}
+
+function isComplete() {
+  return Object.keys(MODEL_FILES).every(file => fs.existsSync(path.join(MODEL_DIR, file)));
+}
+
+function writeStaged(file, data) {
+  const target = path.join(STAGING_DIR, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, data);
+}
+
+// Replaces extension/model/ with the staged set in one rename
+function commitStaged() {
+  fs.rmSync(MODEL_DIR, { recursive: true, force: true });
+  fs.renameSync(STAGING_DIR, MODEL_DIR);
+}
+
+function copyFromExport(dir) {
+  for (const [file, candidates] of Object.entries(MODEL_FILES)) {
+    const source = candidates.map(name => path.join(dir, name)).find(p => fs.existsSync(p));
+    if (!source) throw new Error(`${dir} has no ${candidates.join(' or ')}`);
+    writeStaged(file, fs.readFileSync(source));
+    console.log(`copied ${path.relative(process.cwd(), source)} -> extension/model/${file}`);
+  }
+}
+
+async function download(repo, revision) {
+  for (const file of Object.keys(MODEL_FILES)) {
+    const url = `https://huggingface.co/${repo}/resolve/${encodeURIComponent(revision)}/${file}`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    const data = Buffer.from(await res.arrayBuffer());
+    writeStaged(file, data);
+    console.log(`fetched ${file} (${(data.length / 1024 / 1024).toFixed(1)} MB)`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.from && !opts.force && isComplete()) {
+    console.log('extension/model/ is already complete (use --force to fetch again)');
+    return;
+  }
+
+  fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+  try {
+    if (opts.from) copyFromExport(opts.from);
+    else await download(opts.repo, opts.revision);
+    commitStaged();
+  } catch (e) {
+    // Nothing half-fetched is left behind; an existing extension/model/ is untouched
+    fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+    console.error(`error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// RageCheck Selector Config Signer
+// Turns a selector config into the { payload, signature } envelope /api/selectors serves and
+// background.js verifies against CONFIG_PUBLIC_KEY (README "Remote selector config").
+//
+//   node tools/sign-config.js sign config.json [--key signing-key.pem] [--out envelope.json]
+//   node tools/sign-config.js keygen --out signing-key.pem
+//
+// The private key never goes in the repo. --key defaults to $RAGECHECK_CONFIG_KEY.
+// Exit codes: 0 signed or key written, 1 config or key rejected, 2 usage error.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BACKGROUND_JS = path.join(__dirname, '..', 'extension', 'background.js');
+
+function usage(message) {
+  if (message) console.error(`error: ${message}\n`);
+  console.error('usage: node tools/sign-config.js sign <config.json> [--key KEY.pem] [--out FILE]');
+  console.error('       node tools/sign-config.js keygen --out KEY.pem');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { command: null, config: null, key: process.env.RAGECHECK_CONFIG_KEY || null, out: null };
+  const valued = { '--key': 'key', '--out': 'out' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') usage();
+    else if (valued[arg]) {
+      if (argv[i + 1] === undefined) usage(`${arg} needs a value`);
+      opts[valued[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) usage(`unknown option ${arg}`);
+    else if (!opts.command) opts.command = arg;
+    else if (opts.command === 'sign' && !opts.config) opts.config = arg;
+    else usage(`unexpected argument ${arg}`);
+  }
+  if (opts.command === 'sign') {
+    if (!opts.config) usage('sign needs a config file');
+    if (!opts.key) usage('no signing key (--key or RAGECHECK_CONFIG_KEY)');
+  } else if (opts.command === 'keygen') {
+    if (!opts.out) usage('keygen needs --out');
+  } else usage(opts.command ? `unknown command ${opts.command}` : undefined);
+  return opts;
+}
+
+// Raw 32-byte Ed25519 public key, base64: the form CONFIG_PUBLIC_KEY is written in
+function rawPublicKey(key) {
+  return crypto.createPublicKey(key).export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+}
+
+function bundledPublicKey() {
+  const match = fs.readFileSync(BACKGROUND_JS, 'utf8').match(/const CONFIG_PUBLIC_KEY = '([^']+)'/);
+  return match ? match[1] : null;
+}
+
+// The full schema check lives in background.js validateConfig; this catches the obvious mistakes
+// before a config is signed, since a signed config the extension rejects is a wasted release
+function checkConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'not an object';
+  if (!Number.isInteger(config.version) || config.version < 1) return 'version must be an integer >= 1';
+  if (!config.engines || typeof config.engines !== 'object' || Array.isArray(config.engines)) return 'engines must be an object';
+  const extra = Object.keys(config).filter(k => !['version', 'engines', 'platforms'].includes(k));
+  if (extra.length > 0) return `unknown field ${extra[0]}`;
+  return null;
+}
+
+function sign(opts) {
+  const config = JSON.parse(fs.readFileSync(opts.config, 'utf8'));
+  const problem = checkConfig(config);
+  if (problem) throw new Error(`${opts.config}: ${problem}`);
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(opts.key));
+  const publicKey = rawPublicKey(privateKey);
+  if (publicKey !== bundledPublicKey()) {
+    throw new Error(`${opts.key} does not match CONFIG_PUBLIC_KEY in extension/background.js (its public key is ${publicKey})`);
+  }
+
+  // The signature covers these exact bytes; the extension parses the string it verified
+  const payload = JSON.stringify(config);
+  const signature = crypto.sign(null, Buffer.from(payload, 'utf8'), privateKey).toString('base64');
+  const envelope = JSON.stringify({ payload, signature }) + '\n';
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, envelope);
+    console.log(`signed v${config.version} (${Object.keys(config.engines).length} engines) -> ${opts.out}`);
+  } else {
+    process.stdout.write(envelope);
+  }
+}
+
+function keygen(opts) {
+  if (fs.existsSync(opts.out)) throw new Error(`${opts.out} already exists`);
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.writeFileSync(opts.out, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+  console.log(`private key -> ${opts.out} (keep it out of the repo)`);
+  console.log(`CONFIG_PUBLIC_KEY = '${rawPublicKey(privateKey)}'`);
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  try {
+    if (opts.command === 'sign') sign(opts);
+    else keygen(opts);
+  } catch (e) {
+    console.error(`error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();